@@ -1,6 +1,5 @@
--- Create database for Telegram to Discord forwarder
-CREATE DATABASE IF NOT EXISTS tgdcbridge_js;
-USE tgdcbridge_js;
+-- Schema of the original setup script. IF NOT EXISTS lets databases created by that script
+-- adopt this migration, every later change is its own migration.
 
 -- Create routing table for Telegram groups to Discord webhooks
 CREATE TABLE IF NOT EXISTS routing (
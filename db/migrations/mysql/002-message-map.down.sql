@@ -0,0 +1,2 @@
+-- Forwarded messages can no longer be edited or deleted on Discord
+DROP TABLE IF EXISTS message_map;
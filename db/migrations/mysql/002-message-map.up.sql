@@ -0,0 +1,13 @@
+-- Map forwarded Telegram messages to the Discord webhook messages they produced
+CREATE TABLE IF NOT EXISTS message_map (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    Routing_ID INT DEFAULT NULL COMMENT 'Routing row used for delivery',
+    ID_Groups BIGINT NOT NULL COMMENT 'Telegram Group ID',
+    TG_Message_ID BIGINT NOT NULL COMMENT 'Telegram Message ID',
+    DC_Webhook TEXT NOT NULL COMMENT 'Discord Webhook URL',
+    DC_Message_ID VARCHAR(32) NOT NULL COMMENT 'Discord Message ID',
+    DC_Channel_ID VARCHAR(32) DEFAULT NULL COMMENT 'Discord Channel ID',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_tg_message (ID_Groups, TG_Message_ID),
+    INDEX idx_tg_message_id (TG_Message_ID)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,28 @@
+-- Outbound messages waiting for delivery to Discord
+CREATE TABLE IF NOT EXISTS delivery_queue (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    Routing_ID INT DEFAULT NULL COMMENT 'Routing row used for delivery',
+    ID_Groups BIGINT NOT NULL COMMENT 'Telegram Group ID',
+    TG_Message_ID BIGINT NOT NULL COMMENT 'Telegram Message ID holding the text',
+    DC_Webhook TEXT NOT NULL COMMENT 'Discord Webhook URL',
+    Payload LONGTEXT NOT NULL COMMENT 'Serialized message data',
+    Attempts INT NOT NULL DEFAULT 0 COMMENT 'Failed delivery attempts so far',
+    Next_Attempt_At DATETIME NOT NULL COMMENT 'Earliest time of the next attempt',
+    Last_Error TEXT DEFAULT NULL COMMENT 'Error of the last failed attempt',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Messages that exhausted their delivery attempts
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    Routing_ID INT DEFAULT NULL COMMENT 'Routing row used for delivery',
+    ID_Groups BIGINT NOT NULL COMMENT 'Telegram Group ID',
+    TG_Message_ID BIGINT NOT NULL COMMENT 'Telegram Message ID holding the text',
+    DC_Webhook TEXT NOT NULL COMMENT 'Discord Webhook URL',
+    Payload LONGTEXT NOT NULL COMMENT 'Serialized message data',
+    Attempts INT NOT NULL DEFAULT 0 COMMENT 'Delivery attempts made',
+    Last_Error TEXT DEFAULT NULL COMMENT 'Error of the last failed attempt',
+    queued_at TIMESTAMP NULL DEFAULT NULL COMMENT 'When the message was first queued',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,3 @@
+ALTER TABLE routing
+    DROP COLUMN Exclude_Topics,
+    DROP COLUMN Catch_All;
@@ -0,0 +1,4 @@
+-- Group-wide routes with topic exclusions
+ALTER TABLE routing
+    ADD COLUMN Catch_All TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Match every topic of the group without a topic rule' AFTER Comment,
+    ADD COLUMN Exclude_Topics TEXT DEFAULT NULL COMMENT 'Comma-separated topic IDs a catch-all rule skips' AFTER Catch_All;
@@ -0,0 +1,12 @@
+-- Content filter rules per routing row
+CREATE TABLE IF NOT EXISTS routing_filters (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    Routing_ID INT NOT NULL COMMENT 'Routing row the rule belongs to',
+    Rule_Type ENUM('keyword', 'regex', 'sender', 'bot', 'media') NOT NULL COMMENT 'What the rule looks at',
+    Action ENUM('include', 'exclude') NOT NULL COMMENT 'include = allow list, exclude = block list',
+    Value TEXT DEFAULT NULL COMMENT 'Keyword, regex, sender ID/username or comma-separated media types',
+    Comment TEXT DEFAULT NULL COMMENT 'Optional note/description',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_routing (Routing_ID),
+    FOREIGN KEY (Routing_ID) REFERENCES routing(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
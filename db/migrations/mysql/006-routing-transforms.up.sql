@@ -0,0 +1,13 @@
+-- Ordered text rewrite rules per routing row
+CREATE TABLE IF NOT EXISTS routing_transforms (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    Routing_ID INT NOT NULL COMMENT 'Routing row the rule belongs to',
+    Position INT NOT NULL DEFAULT 0 COMMENT 'Rules run in ascending order',
+    Transform_Type ENUM('replace', 'prefix', 'suffix', 'strip_domains', 'max_length') NOT NULL COMMENT 'What the rule does',
+    Pattern TEXT DEFAULT NULL COMMENT 'Regex for replace, domains for strip_domains, length for max_length',
+    Replacement TEXT DEFAULT NULL COMMENT 'Replacement for replace, template for prefix/suffix',
+    Comment TEXT DEFAULT NULL COMMENT 'Optional note/description',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_routing (Routing_ID, Position),
+    FOREIGN KEY (Routing_ID) REFERENCES routing(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
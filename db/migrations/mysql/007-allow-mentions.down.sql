@@ -0,0 +1 @@
+ALTER TABLE routing DROP COLUMN Allow_Mentions;
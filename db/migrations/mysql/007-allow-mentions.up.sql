@@ -0,0 +1,2 @@
+ALTER TABLE routing
+    ADD COLUMN Allow_Mentions TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Let mapped Discord user/role mentions ping' AFTER Exclude_Topics;
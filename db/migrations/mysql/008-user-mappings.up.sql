@@ -0,0 +1,15 @@
+-- Community members known on both platforms, a row without a Telegram user ID only maps an @handle
+CREATE TABLE IF NOT EXISTS user_mappings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    TG_User_ID BIGINT DEFAULT NULL COMMENT 'Telegram user ID, NULL for a row that only maps an @handle',
+    TG_Username VARCHAR(64) DEFAULT NULL COMMENT 'Telegram username without @, lowercase',
+    DC_User_ID VARCHAR(32) DEFAULT NULL COMMENT 'Discord user or role ID mentions are rewritten to',
+    Mention_Type ENUM('user', 'role') NOT NULL DEFAULT 'user' COMMENT 'Kind of Discord mention',
+    DC_Display_Name VARCHAR(80) DEFAULT NULL COMMENT 'Name used for forwarded messages instead of the Telegram name',
+    DC_Avatar_URL TEXT DEFAULT NULL COMMENT 'Avatar used for forwarded messages instead of the Telegram photo',
+    Comment TEXT DEFAULT NULL COMMENT 'Optional note/description',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_tg_user (TG_User_ID),
+    INDEX idx_tg_username (TG_Username)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
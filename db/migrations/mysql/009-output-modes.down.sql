@@ -0,0 +1,3 @@
+ALTER TABLE routing
+    DROP COLUMN Embed_Color,
+    DROP COLUMN Output_Mode;
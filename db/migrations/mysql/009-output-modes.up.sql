@@ -0,0 +1,3 @@
+ALTER TABLE routing
+    ADD COLUMN Output_Mode ENUM('plain', 'embed', 'hybrid') NOT NULL DEFAULT 'plain' COMMENT 'How messages are rendered in Discord' AFTER Allow_Mentions,
+    ADD COLUMN Embed_Color VARCHAR(7) DEFAULT NULL COMMENT 'Embed colour as #RRGGBB' AFTER Output_Mode;
@@ -0,0 +1,17 @@
+ALTER TABLE routing
+    ADD COLUMN Thread_Mode TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Post each Telegram topic into its own Discord thread' AFTER Embed_Color;
+
+-- Discord threads created for Telegram topics by thread-mode routes
+CREATE TABLE IF NOT EXISTS topic_threads (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    Routing_ID INT NOT NULL COMMENT 'Routing row the thread belongs to',
+    ID_Groups BIGINT NOT NULL COMMENT 'Telegram Group ID',
+    ID_Topic INT NOT NULL COMMENT 'Telegram Topic ID',
+    DC_Thread_ID VARCHAR(32) NOT NULL COMMENT 'Discord thread (channel) ID',
+    Thread_Name VARCHAR(100) DEFAULT NULL COMMENT 'Topic title the thread was named after',
+    Closed TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Topic is closed on Telegram',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_routing_topic (Routing_ID, ID_Topic),
+    FOREIGN KEY (Routing_ID) REFERENCES routing(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
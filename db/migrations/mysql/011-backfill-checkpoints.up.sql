@@ -0,0 +1,14 @@
+-- Progress of history backfills, so an interrupted run can resume
+CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    Job_Key VARCHAR(191) NOT NULL COMMENT 'Group, topic, routing and range of the backfill',
+    ID_Groups BIGINT NOT NULL COMMENT 'Telegram Group ID',
+    ID_Topic INT DEFAULT NULL COMMENT 'Telegram Topic ID',
+    Routing_ID INT DEFAULT NULL COMMENT 'Only this routing row, NULL for all matching rows',
+    Last_Message_ID BIGINT NOT NULL DEFAULT 0 COMMENT 'Newest Telegram message handled so far',
+    Forwarded INT NOT NULL DEFAULT 0 COMMENT 'Messages forwarded so far',
+    Completed TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'The whole range was handled',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_job (Job_Key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
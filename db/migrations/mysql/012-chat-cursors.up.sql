@@ -0,0 +1,8 @@
+-- Newest forwarded Telegram message per chat/topic, where catch-up continues after downtime
+CREATE TABLE IF NOT EXISTS chat_cursors (
+    ID_Groups BIGINT NOT NULL COMMENT 'Telegram Group ID',
+    ID_Topic INT NOT NULL DEFAULT 0 COMMENT 'Telegram Topic ID, 0 outside topics',
+    Last_Message_ID BIGINT NOT NULL COMMENT 'Newest forwarded Telegram message ID',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (ID_Groups, ID_Topic)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
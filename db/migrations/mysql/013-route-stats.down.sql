@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS routing_stats;
+ALTER TABLE routing DROP COLUMN Paused;
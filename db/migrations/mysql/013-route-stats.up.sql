@@ -0,0 +1,12 @@
+ALTER TABLE routing
+    ADD COLUMN Paused TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Temporarily forward nothing to this route' AFTER Thread_Mode;
+
+-- Delivery counters and the latest error per routing row, shown on the dashboard
+CREATE TABLE IF NOT EXISTS routing_stats (
+    Routing_ID INT NOT NULL PRIMARY KEY COMMENT 'Routing row',
+    Forwarded INT NOT NULL DEFAULT 0 COMMENT 'Messages delivered to Discord',
+    Last_Forward_At DATETIME DEFAULT NULL COMMENT 'Time of the latest delivery',
+    Last_Error TEXT DEFAULT NULL COMMENT 'Latest delivery error',
+    Last_Error_At DATETIME DEFAULT NULL COMMENT 'Time of the latest delivery error',
+    FOREIGN KEY (Routing_ID) REFERENCES routing(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,2 @@
+-- Archived messages are lost
+DROP TABLE IF EXISTS message_archive;
@@ -0,0 +1,24 @@
+-- Searchable record of every message forwarded per routing row
+CREATE TABLE IF NOT EXISTS message_archive (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    Routing_ID INT DEFAULT NULL COMMENT 'Routing row the message was forwarded to',
+    ID_Groups BIGINT NOT NULL COMMENT 'Telegram Group ID',
+    ID_Topic INT DEFAULT NULL COMMENT 'Telegram Topic ID',
+    TG_Message_ID BIGINT NOT NULL COMMENT 'Telegram Message ID holding the text',
+    Sender_ID VARCHAR(32) DEFAULT NULL COMMENT 'Telegram user or channel ID of the sender',
+    Sender_Name VARCHAR(255) DEFAULT NULL COMMENT 'Name the message was posted under',
+    Sender_Username VARCHAR(64) DEFAULT NULL COMMENT 'Telegram username without @, lowercase',
+    Content MEDIUMTEXT DEFAULT NULL COMMENT 'Text as forwarded to Discord',
+    Media_Files TEXT DEFAULT NULL COMMENT 'JSON array of the forwarded file names',
+    DC_Message_ID VARCHAR(32) DEFAULT NULL COMMENT 'First Discord message of the delivery',
+    Status ENUM('queued', 'retrying', 'forwarded', 'failed') NOT NULL DEFAULT 'queued' COMMENT 'Delivery status',
+    Last_Error TEXT DEFAULT NULL COMMENT 'Error of the last failed attempt',
+    Sent_At DATETIME DEFAULT NULL COMMENT 'When the message was posted on Telegram',
+    Forwarded_At DATETIME DEFAULT NULL COMMENT 'When Discord accepted the message',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_routing_message (Routing_ID, ID_Groups, TG_Message_ID),
+    INDEX idx_routing_sent (Routing_ID, Sent_At),
+    INDEX idx_sent (Sent_At),
+    INDEX idx_sender (Sender_Username)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,3 @@
+ALTER TABLE message_map
+    DROP INDEX idx_dc_message,
+    DROP COLUMN Has_Text;
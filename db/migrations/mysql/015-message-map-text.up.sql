@@ -0,0 +1,4 @@
+-- Album parts share Discord messages, only the part holding the text drives edits
+ALTER TABLE message_map
+    ADD COLUMN Has_Text TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Telegram message supplies the text of the Discord message' AFTER DC_Channel_ID,
+    ADD INDEX idx_dc_message (DC_Message_ID);
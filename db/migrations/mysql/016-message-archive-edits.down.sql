@@ -0,0 +1,3 @@
+ALTER TABLE message_archive
+    DROP INDEX idx_tg_message,
+    MODIFY COLUMN Content MEDIUMTEXT DEFAULT NULL COMMENT 'Text as forwarded to Discord';
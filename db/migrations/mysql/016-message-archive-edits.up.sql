@@ -0,0 +1,4 @@
+-- Edits refresh the archived text, found by the Telegram message alone
+ALTER TABLE message_archive
+    MODIFY COLUMN Content MEDIUMTEXT DEFAULT NULL COMMENT 'Telegram text as sent or last edited',
+    ADD INDEX idx_tg_message (ID_Groups, TG_Message_ID);
@@ -0,0 +1,3 @@
+ALTER TABLE delivery_queue
+    DROP COLUMN Locked_Until,
+    DROP COLUMN Claimed_By;
@@ -0,0 +1,4 @@
+-- Lets the bridge and the scripts share the queue without sending a message twice
+ALTER TABLE delivery_queue
+    ADD COLUMN Claimed_By VARCHAR(64) DEFAULT NULL COMMENT 'Process delivering the message' AFTER Last_Error,
+    ADD COLUMN Locked_Until DATETIME DEFAULT NULL COMMENT 'End of the claim, after which another process may take over' AFTER Claimed_By;
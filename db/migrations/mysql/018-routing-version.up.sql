@@ -0,0 +1,8 @@
+-- Counter raised by every route change made through the bridge or its scripts,
+-- a running bridge polls it to reload its routing cache right away
+CREATE TABLE IF NOT EXISTS routing_version (
+    id INT NOT NULL PRIMARY KEY,
+    Version INT NOT NULL DEFAULT 0 COMMENT 'Raised on every change to routes, filters or transforms'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO routing_version (id, Version) VALUES (1, 0);
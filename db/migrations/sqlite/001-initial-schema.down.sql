@@ -0,0 +1,2 @@
+-- Every route is lost
+DROP TABLE IF EXISTS routing;
@@ -0,0 +1,20 @@
+-- SQLite version of the MySQL migration with the same number
+
+-- Create routing table for Telegram groups to Discord webhooks
+CREATE TABLE IF NOT EXISTS routing (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ID_Groups BIGINT NOT NULL,
+    ID_Topic INT DEFAULT NULL,
+    DC_Webhook TEXT NOT NULL,
+    Comment TEXT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_routing_group_topic ON routing (ID_Groups, ID_Topic);
+
+-- SQLite has no ON UPDATE CURRENT_TIMESTAMP, triggers like this one keep updated_at current
+CREATE TRIGGER IF NOT EXISTS routing_updated_at AFTER UPDATE ON routing
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE routing SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
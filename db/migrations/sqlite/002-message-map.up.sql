@@ -0,0 +1,13 @@
+-- Map forwarded Telegram messages to the Discord webhook messages they produced
+CREATE TABLE IF NOT EXISTS message_map (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    Routing_ID INT DEFAULT NULL,
+    ID_Groups BIGINT NOT NULL,
+    TG_Message_ID BIGINT NOT NULL,
+    DC_Webhook TEXT NOT NULL,
+    DC_Message_ID VARCHAR(32) NOT NULL,
+    DC_Channel_ID VARCHAR(32) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_message_map_tg_message ON message_map (ID_Groups, TG_Message_ID);
+CREATE INDEX IF NOT EXISTS idx_message_map_tg_message_id ON message_map (TG_Message_ID);
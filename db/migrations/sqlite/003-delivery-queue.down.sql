@@ -0,0 +1,3 @@
+-- Queued and dead-lettered messages are lost
+DROP TABLE IF EXISTS dead_letters;
+DROP TABLE IF EXISTS delivery_queue;
@@ -0,0 +1,34 @@
+-- Outbound messages waiting for delivery to Discord
+CREATE TABLE IF NOT EXISTS delivery_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    Routing_ID INT DEFAULT NULL,
+    ID_Groups BIGINT NOT NULL,
+    TG_Message_ID BIGINT NOT NULL,
+    DC_Webhook TEXT NOT NULL,
+    Payload TEXT NOT NULL,
+    Attempts INT NOT NULL DEFAULT 0,
+    Next_Attempt_At DATETIME NOT NULL,
+    Last_Error TEXT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages that exhausted their delivery attempts
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    Routing_ID INT DEFAULT NULL,
+    ID_Groups BIGINT NOT NULL,
+    TG_Message_ID BIGINT NOT NULL,
+    DC_Webhook TEXT NOT NULL,
+    Payload TEXT NOT NULL,
+    Attempts INT NOT NULL DEFAULT 0,
+    Last_Error TEXT DEFAULT NULL,
+    queued_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER IF NOT EXISTS delivery_queue_updated_at AFTER UPDATE ON delivery_queue
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE delivery_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
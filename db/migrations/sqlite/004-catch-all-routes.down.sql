@@ -0,0 +1,2 @@
+ALTER TABLE routing DROP COLUMN Exclude_Topics;
+ALTER TABLE routing DROP COLUMN Catch_All;
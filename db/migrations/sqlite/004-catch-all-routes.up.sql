@@ -0,0 +1,3 @@
+-- Group-wide routes with topic exclusions
+ALTER TABLE routing ADD COLUMN Catch_All TINYINT NOT NULL DEFAULT 0;
+ALTER TABLE routing ADD COLUMN Exclude_Topics TEXT DEFAULT NULL;
@@ -0,0 +1,11 @@
+-- Content filter rules per routing row
+CREATE TABLE IF NOT EXISTS routing_filters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    Routing_ID INT NOT NULL REFERENCES routing(id) ON DELETE CASCADE,
+    Rule_Type TEXT NOT NULL CHECK (Rule_Type IN ('keyword', 'regex', 'sender', 'bot', 'media')),
+    Action TEXT NOT NULL CHECK (Action IN ('include', 'exclude')),
+    Value TEXT DEFAULT NULL,
+    Comment TEXT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_routing_filters_routing ON routing_filters (Routing_ID);
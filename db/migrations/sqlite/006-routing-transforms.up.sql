@@ -0,0 +1,12 @@
+-- Ordered text rewrite rules per routing row
+CREATE TABLE IF NOT EXISTS routing_transforms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    Routing_ID INT NOT NULL REFERENCES routing(id) ON DELETE CASCADE,
+    Position INT NOT NULL DEFAULT 0,
+    Transform_Type TEXT NOT NULL CHECK (Transform_Type IN ('replace', 'prefix', 'suffix', 'strip_domains', 'max_length')),
+    Pattern TEXT DEFAULT NULL,
+    Replacement TEXT DEFAULT NULL,
+    Comment TEXT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_routing_transforms_routing ON routing_transforms (Routing_ID, Position);
@@ -0,0 +1 @@
+ALTER TABLE routing ADD COLUMN Allow_Mentions TINYINT NOT NULL DEFAULT 0;
@@ -0,0 +1,20 @@
+-- Community members known on both platforms, a row without a Telegram user ID only maps an @handle
+CREATE TABLE IF NOT EXISTS user_mappings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    TG_User_ID BIGINT DEFAULT NULL UNIQUE,
+    TG_Username VARCHAR(64) DEFAULT NULL,
+    DC_User_ID VARCHAR(32) DEFAULT NULL,
+    Mention_Type TEXT NOT NULL DEFAULT 'user' CHECK (Mention_Type IN ('user', 'role')),
+    DC_Display_Name VARCHAR(80) DEFAULT NULL,
+    DC_Avatar_URL TEXT DEFAULT NULL,
+    Comment TEXT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_user_mappings_tg_username ON user_mappings (TG_Username);
+
+CREATE TRIGGER IF NOT EXISTS user_mappings_updated_at AFTER UPDATE ON user_mappings
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE user_mappings SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,2 @@
+ALTER TABLE routing DROP COLUMN Embed_Color;
+ALTER TABLE routing DROP COLUMN Output_Mode;
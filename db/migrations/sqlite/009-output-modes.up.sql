@@ -0,0 +1,2 @@
+ALTER TABLE routing ADD COLUMN Output_Mode TEXT NOT NULL DEFAULT 'plain' CHECK (Output_Mode IN ('plain', 'embed', 'hybrid'));
+ALTER TABLE routing ADD COLUMN Embed_Color VARCHAR(7) DEFAULT NULL;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS topic_threads;
+ALTER TABLE routing DROP COLUMN Thread_Mode;
@@ -0,0 +1,21 @@
+ALTER TABLE routing ADD COLUMN Thread_Mode TINYINT NOT NULL DEFAULT 0;
+
+-- Discord threads created for Telegram topics by thread-mode routes
+CREATE TABLE IF NOT EXISTS topic_threads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    Routing_ID INT NOT NULL REFERENCES routing(id) ON DELETE CASCADE,
+    ID_Groups BIGINT NOT NULL,
+    ID_Topic INT NOT NULL,
+    DC_Thread_ID VARCHAR(32) NOT NULL,
+    Thread_Name VARCHAR(100) DEFAULT NULL,
+    Closed TINYINT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (Routing_ID, ID_Topic)
+);
+
+CREATE TRIGGER IF NOT EXISTS topic_threads_updated_at AFTER UPDATE ON topic_threads
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE topic_threads SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
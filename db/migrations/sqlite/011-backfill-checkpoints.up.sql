@@ -0,0 +1,19 @@
+-- Progress of history backfills, so an interrupted run can resume
+CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    Job_Key VARCHAR(191) NOT NULL UNIQUE,
+    ID_Groups BIGINT NOT NULL,
+    ID_Topic INT DEFAULT NULL,
+    Routing_ID INT DEFAULT NULL,
+    Last_Message_ID BIGINT NOT NULL DEFAULT 0,
+    Forwarded INT NOT NULL DEFAULT 0,
+    Completed TINYINT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER IF NOT EXISTS backfill_checkpoints_updated_at AFTER UPDATE ON backfill_checkpoints
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE backfill_checkpoints SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
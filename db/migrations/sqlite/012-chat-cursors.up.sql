@@ -0,0 +1,15 @@
+-- Newest forwarded Telegram message per chat/topic, where catch-up continues after downtime
+CREATE TABLE IF NOT EXISTS chat_cursors (
+    ID_Groups BIGINT NOT NULL,
+    ID_Topic INT NOT NULL DEFAULT 0,
+    Last_Message_ID BIGINT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (ID_Groups, ID_Topic)
+);
+
+CREATE TRIGGER IF NOT EXISTS chat_cursors_updated_at AFTER UPDATE ON chat_cursors
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE chat_cursors SET updated_at = CURRENT_TIMESTAMP
+    WHERE ID_Groups = NEW.ID_Groups AND ID_Topic = NEW.ID_Topic;
+END;
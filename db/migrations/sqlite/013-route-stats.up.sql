@@ -0,0 +1,10 @@
+ALTER TABLE routing ADD COLUMN Paused TINYINT NOT NULL DEFAULT 0;
+
+-- Delivery counters and the latest error per routing row, shown on the dashboard
+CREATE TABLE IF NOT EXISTS routing_stats (
+    Routing_ID INT NOT NULL PRIMARY KEY REFERENCES routing(id) ON DELETE CASCADE,
+    Forwarded INT NOT NULL DEFAULT 0,
+    Last_Forward_At DATETIME DEFAULT NULL,
+    Last_Error TEXT DEFAULT NULL,
+    Last_Error_At DATETIME DEFAULT NULL
+);
@@ -0,0 +1,30 @@
+-- Searchable record of every message forwarded per routing row
+CREATE TABLE IF NOT EXISTS message_archive (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    Routing_ID INT DEFAULT NULL,
+    ID_Groups BIGINT NOT NULL,
+    ID_Topic INT DEFAULT NULL,
+    TG_Message_ID BIGINT NOT NULL,
+    Sender_ID VARCHAR(32) DEFAULT NULL,
+    Sender_Name VARCHAR(255) DEFAULT NULL,
+    Sender_Username VARCHAR(64) DEFAULT NULL,
+    Content TEXT DEFAULT NULL,
+    Media_Files TEXT DEFAULT NULL,
+    DC_Message_ID VARCHAR(32) DEFAULT NULL,
+    Status TEXT NOT NULL DEFAULT 'queued' CHECK (Status IN ('queued', 'retrying', 'forwarded', 'failed')),
+    Last_Error TEXT DEFAULT NULL,
+    Sent_At DATETIME DEFAULT NULL,
+    Forwarded_At DATETIME DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (Routing_ID, ID_Groups, TG_Message_ID)
+);
+CREATE INDEX IF NOT EXISTS idx_message_archive_routing_sent ON message_archive (Routing_ID, Sent_At);
+CREATE INDEX IF NOT EXISTS idx_message_archive_sent ON message_archive (Sent_At);
+CREATE INDEX IF NOT EXISTS idx_message_archive_sender ON message_archive (Sender_Username);
+
+CREATE TRIGGER IF NOT EXISTS message_archive_updated_at AFTER UPDATE ON message_archive
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE message_archive SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
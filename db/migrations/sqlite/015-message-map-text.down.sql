@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_message_map_dc_message;
+ALTER TABLE message_map DROP COLUMN Has_Text;
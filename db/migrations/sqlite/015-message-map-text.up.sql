@@ -0,0 +1,3 @@
+-- Album parts share Discord messages, only the part holding the text drives edits
+ALTER TABLE message_map ADD COLUMN Has_Text TINYINT NOT NULL DEFAULT 1;
+CREATE INDEX IF NOT EXISTS idx_message_map_dc_message ON message_map (DC_Message_ID);
@@ -0,0 +1,2 @@
+-- Edits refresh the archived text, found by the Telegram message alone
+CREATE INDEX IF NOT EXISTS idx_message_archive_tg_message ON message_archive (ID_Groups, TG_Message_ID);
@@ -0,0 +1,2 @@
+ALTER TABLE delivery_queue DROP COLUMN Locked_Until;
+ALTER TABLE delivery_queue DROP COLUMN Claimed_By;
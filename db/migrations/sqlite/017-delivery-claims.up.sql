@@ -0,0 +1,3 @@
+-- Lets the bridge and the scripts share the queue without sending a message twice
+ALTER TABLE delivery_queue ADD COLUMN Claimed_By VARCHAR(64) DEFAULT NULL;
+ALTER TABLE delivery_queue ADD COLUMN Locked_Until DATETIME DEFAULT NULL;
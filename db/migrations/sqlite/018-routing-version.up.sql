@@ -0,0 +1,8 @@
+-- Counter raised by every route change made through the bridge or its scripts,
+-- a running bridge polls it to reload its routing cache right away
+CREATE TABLE IF NOT EXISTS routing_version (
+    id INT NOT NULL PRIMARY KEY,
+    Version INT NOT NULL DEFAULT 0
+);
+
+INSERT OR IGNORE INTO routing_version (id, Version) VALUES (1, 0);
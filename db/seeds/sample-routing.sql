@@ -1,5 +1,4 @@
--- Sample routing data for Telegram to Discord forwarder
-USE tgdcbridge_js;
+-- Sample routing data for Telegram to Discord forwarder, inserted by npm run seed
 
 -- Insert sample routing configurations
 INSERT INTO routing (ID_Groups, ID_Topic, DC_Webhook, Comment) VALUES
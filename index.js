@@ -1,8 +1,15 @@
-const Database = require("./lib/database")
+const { createStorage } = require("./lib/storage")
 const TelegramBot = require("./lib/telegram-client")
 const DiscordForwarder = require("./lib/discord-forwarder")
 const ImageProcessor = require("./lib/image-processor")
 const ExpressServer = require("./lib/express-server")
+const DeliveryQueue = require("./lib/delivery-queue")
+const RoutingCache = require("./lib/routing-cache")
+const Migrator = require("./lib/storage/migrator")
+const AdminApi = require("./lib/admin-api")
+const Dashboard = require("./lib/dashboard")
+const ActivityLog = require("./lib/activity-log")
+const Metrics = require("./lib/metrics")
 const Utils = require("./lib/utils")
 require("dotenv").config()
 
@@ -13,6 +20,10 @@ class TelegramDiscordForwarder {
     this.discordForwarder = null
     this.imageProcessor = null
     this.expressServer = null
+    this.deliveryQueue = null
+    this.routingCache = null
+    this.activityLog = new ActivityLog()
+    this.metrics = new Metrics()
     this.isRunning = false
     this.cleanupInterval = null
   }
@@ -37,11 +48,16 @@ class TelegramDiscordForwarder {
 
       // Initialize database
       console.log("📊 Initializing database connection...")
-      this.database = new Database()
+      this.database = createStorage()
       await this.database.init()
+      await this.migrateDatabase()
 
       await this.displayDatabaseRoutings()
 
+      // Routes are served from memory, so busy groups don't query the database for every message
+      this.routingCache = new RoutingCache(this.database)
+      await this.routingCache.start()
+
       // Initialize image processor
       console.log("🖼️ Initializing image processor...")
       this.imageProcessor = new ImageProcessor()
@@ -49,16 +65,34 @@ class TelegramDiscordForwarder {
 
       // Initialize Discord forwarder
       console.log("🔗 Initializing Discord forwarder...")
-      this.discordForwarder = new DiscordForwarder()
+      this.discordForwarder = new DiscordForwarder(this.metrics)
 
       // Test webhook connections
       await this.testWebhookConnections()
 
+      // Start delivery queue, resuming anything left over from a previous run
+      console.log("📬 Starting delivery queue...")
+      this.deliveryQueue = new DeliveryQueue(this.database, this.discordForwarder, this.activityLog, this.metrics)
+      await this.deliveryQueue.start()
+
       // Initialize Telegram client
       console.log("📱 Initializing Telegram client...")
-      this.telegramClient = new TelegramBot(this.database, this.discordForwarder, this.imageProcessor)
+      this.telegramClient = new TelegramBot(
+        this.database,
+        this.discordForwarder,
+        this.imageProcessor,
+        this.deliveryQueue,
+        { routingCache: this.routingCache, metrics: this.metrics },
+      )
       await this.telegramClient.init()
 
+      // Route management, changes reload the routing cache so they apply right away
+      const adminApi = new AdminApi(this.database, this.telegramClient, this.discordForwarder, this.routingCache)
+      this.expressServer.mountAdminApi(adminApi)
+      const dashboard = new Dashboard(this.database, adminApi, this.activityLog, () => this.getStatus())
+      this.expressServer.mountDashboard(dashboard)
+      this.setupMetrics()
+
       // Setup cleanup routines
       this.setupCleanupRoutines()
 
@@ -96,7 +130,10 @@ class TelegramDiscordForwarder {
       for (const routing of routings) {
         if (this.discordForwarder.validateWebhookUrl(routing.DC_Webhook)) {
           const startupMessage = process.env.SW || "BOT Started"
-          const testResult = await this.discordForwarder.testWebhookWithMessage(routing.DC_Webhook, startupMessage)
+          // Forum channel webhooks only accept messages inside a thread, so thread-mode routes are just looked up
+          const testResult = routing.Thread_Mode
+            ? !!(await this.discordForwarder.getWebhookInfo(routing.DC_Webhook))
+            : await this.discordForwarder.testWebhookWithMessage(routing.DC_Webhook, startupMessage)
           if (testResult) {
             successCount++
             console.log(`✅ Webhook test passed for group ${routing.ID_Groups}`)
@@ -114,6 +151,23 @@ class TelegramDiscordForwarder {
     }
   }
 
+  async migrateDatabase() {
+    const migrator = new Migrator(this.database)
+
+    if (process.env.MIGRATE_ON_START === "true") {
+      const applied = await migrator.up()
+      if (applied.length > 0) {
+        console.log(`✅ Applied ${applied.length} database migration(s)`)
+      }
+      return
+    }
+
+    const pending = await migrator.getPending()
+    if (pending.length > 0) {
+      console.log(`⚠️ ${pending.length} database migration(s) pending, run npm run migrate -- up or set MIGRATE_ON_START=true`)
+    }
+  }
+
   async displayDatabaseRoutings() {
     try {
       console.log("📋 Database Routing Configurations:")
@@ -133,7 +187,10 @@ class TelegramDiscordForwarder {
 
       routings.forEach((routing, index) => {
         console.log(`${index + 1}. Group ID: ${routing.ID_Groups}`)
-        console.log(`   Topic ID: ${routing.ID_Topic}`)
+        console.log(`   Topic ID: ${routing.Catch_All ? "* (catch-all)" : routing.ID_Topic}`)
+        if (routing.Catch_All && routing.Exclude_Topics) {
+          console.log(`   Excluded Topics: ${routing.Exclude_Topics}`)
+        }
         console.log(`   Discord Webhook: ${routing.DC_Webhook.substring(0, 50)}...`)
         if (routing.Comment) {
           console.log(`   Comment: ${routing.Comment}`)
@@ -147,6 +204,18 @@ class TelegramDiscordForwarder {
     }
   }
 
+  setupMetrics() {
+    const tempDir = require("path").join(__dirname, "temp")
+
+    // Current state is read on every scrape
+    this.metrics.gauge("tgdc_queue_depth", "Queued deliveries", () => this.database.countPendingDeliveries())
+    this.metrics.gauge("tgdc_telegram_connected", "1 while Telegram is connected", () =>
+      this.telegramClient.isReady() ? 1 : 0,
+    )
+    this.metrics.gauge("tgdc_temp_dir_bytes", "Size of the temp directory", () => Utils.getDirectorySize(tempDir))
+    this.expressServer.mountMetrics(this.metrics)
+  }
+
   setupCleanupRoutines() {
     // Clean up temporary files every hour
     this.cleanupInterval = setInterval(
@@ -179,11 +248,20 @@ class TelegramDiscordForwarder {
           clearInterval(this.cleanupInterval)
         }
 
+        if (this.routingCache) {
+          this.routingCache.stop()
+        }
+
         // Disconnect Telegram client
         if (this.telegramClient) {
           await this.telegramClient.disconnect()
         }
 
+        // Stop delivery queue, pending messages stay queued for the next start
+        if (this.deliveryQueue) {
+          await this.deliveryQueue.stop()
+        }
+
         // Close database connection
         if (this.database) {
           await this.database.close()
@@ -234,6 +312,7 @@ class TelegramDiscordForwarder {
         // Check if Telegram client is still connected
         if (!this.telegramClient.isReady()) {
           console.log("⚠️ Telegram client not ready, attempting reconnection...")
+          this.metrics.reconnects.inc()
           await this.telegramClient.init()
         }
 
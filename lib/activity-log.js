@@ -0,0 +1,31 @@
+const EventEmitter = require("events")
+
+class ActivityLog extends EventEmitter {
+  constructor(maxEntries = 100) {
+    super()
+    // Every open dashboard holds a listener
+    this.setMaxListeners(0)
+    this.maxEntries = maxEntries
+    this.entries = []
+    this.nextId = 1
+  }
+
+  record(type, details = {}) {
+    const entry = { id: this.nextId++, type, time: new Date().toISOString(), ...details }
+
+    // Only the newest entries are kept, older activity is in the console log
+    this.entries.push(entry)
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift()
+    }
+
+    this.emit("entry", entry)
+    return entry
+  }
+
+  getRecent(limit = this.maxEntries) {
+    return this.entries.slice(-limit)
+  }
+}
+
+module.exports = ActivityLog
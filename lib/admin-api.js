@@ -0,0 +1,441 @@
+const express = require("express")
+const crypto = require("crypto")
+const RoutingResolver = require("./routing-resolver")
+const MessageArchive = require("./message-archive")
+
+const OUTPUT_MODES = ["plain", "embed", "hybrid"]
+const FILTER_TYPES = ["keyword", "regex", "sender", "bot", "media"]
+const FILTER_ACTIONS = ["include", "exclude"]
+const TRANSFORM_TYPES = ["replace", "prefix", "suffix", "strip_domains", "max_length"]
+
+class AdminApi {
+  constructor(database, telegramBot, discordForwarder, routingCache = null) {
+    this.database = database
+    this.telegramBot = telegramBot
+    this.discordForwarder = discordForwarder
+    this.routingCache = routingCache
+    this.messageArchive = new MessageArchive(database)
+    this.token = process.env.ADMIN_API_TOKEN || ""
+  }
+
+  isEnabled() {
+    return this.token.length > 0
+  }
+
+  router(authenticate = (req, res, next) => this.authenticate(req, res, next)) {
+    const router = express.Router()
+    // Express 4 does not catch rejected handlers itself
+    const handle = (handler) => (req, res, next) => handler(req, res).catch(next)
+
+    router.use(express.json())
+    router.use(authenticate)
+
+    router.get("/routes", handle((req, res) => this.listRoutes(req, res)))
+    router.get("/routes/:id", handle((req, res) => this.getRoute(req, res)))
+    router.post("/routes", handle((req, res) => this.createRoute(req, res)))
+    router.put("/routes/:id", handle((req, res) => this.updateRoute(req, res)))
+    router.delete("/routes/:id", handle((req, res) => this.deleteRoute(req, res)))
+    router.post("/routes/:id/pause", handle((req, res) => this.setPaused(req, res, true)))
+    router.post("/routes/:id/resume", handle((req, res) => this.setPaused(req, res, false)))
+    router.get("/routes/:id/filters", handle((req, res) => this.listFilters(req, res)))
+    router.post("/routes/:id/filters", handle((req, res) => this.createFilter(req, res)))
+    router.delete("/routes/:id/filters/:ruleId", handle((req, res) => this.deleteFilter(req, res)))
+    router.get("/routes/:id/transforms", handle((req, res) => this.listTransforms(req, res)))
+    router.post("/routes/:id/transforms", handle((req, res) => this.createTransform(req, res)))
+    router.delete("/routes/:id/transforms/:ruleId", handle((req, res) => this.deleteTransform(req, res)))
+    router.use("/archive", this.messageArchive.router())
+
+    // Malformed JSON bodies and anything thrown by a handler
+    router.use((error, req, res, next) => {
+      if (error.type === "entity.parse.failed") {
+        return res.status(400).json({ error: "Request body is not valid JSON" })
+      }
+      console.error("Error in admin API:", error.message)
+      res.status(500).json({ error: "Internal error" })
+    })
+
+    return router
+  }
+
+  async listRoutes(req, res) {
+    const routings = await this.database.getAllRoutings()
+    res.json(routings.map((routing) => this.toJson(routing)))
+  }
+
+  async getRoute(req, res) {
+    const routing = await this.findRouting(req, res)
+    if (routing) {
+      res.json(this.toJson(routing))
+    }
+  }
+
+  async createRoute(req, res) {
+    const route = await this.validate(req.body, null, res)
+    if (!route) return
+
+    const id = await this.database.addRouting(route.groupId, route.topicId, route.webhookUrl, route.comment, route)
+    if (!id) {
+      return res.status(500).json({ error: "Could not save the route" })
+    }
+
+    console.log(`🛠️ Route #${id} for group ${route.groupId} added via admin API`)
+    await this.routingCache?.reload()
+    res.status(201).json(this.toJson(await this.database.getRouting(id)))
+  }
+
+  async updateRoute(req, res) {
+    const existing = await this.findRouting(req, res)
+    if (!existing) return
+
+    // Fields left out of the body keep their current value
+    const route = await this.validate({ ...this.toJson(existing), ...req.body }, existing, res)
+    if (!route) return
+
+    const { groupId, topicId, webhookUrl, comment } = route
+    if (!(await this.database.updateRouting(existing.id, groupId, topicId, webhookUrl, comment, route))) {
+      return res.status(500).json({ error: "Could not save the route" })
+    }
+
+    console.log(`🛠️ Route #${existing.id} updated via admin API`)
+    await this.routingCache?.reload()
+    res.json(this.toJson(await this.database.getRouting(existing.id)))
+  }
+
+  async deleteRoute(req, res) {
+    const existing = await this.findRouting(req, res)
+    if (!existing) return
+
+    if (!(await this.database.deleteRouting(existing.id))) {
+      return res.status(500).json({ error: "Could not delete the route" })
+    }
+
+    console.log(`🛠️ Route #${existing.id} deleted via admin API`)
+    await this.routingCache?.reload()
+    res.status(204).end()
+  }
+
+  async setPaused(req, res, paused) {
+    const existing = await this.findRouting(req, res)
+    if (!existing) return
+
+    if (!(await this.database.setRoutingPaused(existing.id, paused))) {
+      return res.status(500).json({ error: "Could not save the route" })
+    }
+
+    console.log(`${paused ? "⏸️" : "▶️"} Route #${existing.id} ${paused ? "paused" : "resumed"} via admin API`)
+    await this.routingCache?.reload()
+    res.json(this.toJson(await this.database.getRouting(existing.id)))
+  }
+
+  async listFilters(req, res) {
+    const routing = await this.findRouting(req, res)
+    if (routing) {
+      const filters = await this.database.getRoutingFilters([routing.id])
+      res.json(filters.map((filter) => this.filterToJson(filter)))
+    }
+  }
+
+  async createFilter(req, res) {
+    const routing = await this.findRouting(req, res)
+    if (!routing) return
+
+    const input = req.body && typeof req.body === "object" ? req.body : {}
+    const filter = {
+      type: input.type,
+      action: input.action,
+      value: input.value === undefined || input.value === "" ? null : input.value,
+      comment: input.comment === undefined || input.comment === "" ? null : input.comment,
+    }
+
+    const errors = []
+    if (!FILTER_TYPES.includes(filter.type)) {
+      errors.push(`type must be one of ${FILTER_TYPES.join(", ")}`)
+    }
+    if (!FILTER_ACTIONS.includes(filter.action)) {
+      errors.push(`action must be one of ${FILTER_ACTIONS.join(", ")}`)
+    }
+    if (filter.type !== "bot" && typeof filter.value !== "string") {
+      errors.push("value must be a string")
+    } else if (filter.type === "regex" && !this.isRegex(filter.value, "i")) {
+      errors.push("value must be a valid regular expression")
+    }
+    if (filter.comment !== null && typeof filter.comment !== "string") {
+      errors.push("comment must be a string")
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid filter", details: errors })
+    }
+
+    const { type, action, value, comment } = filter
+    const id = await this.database.addRoutingFilter(routing.id, type, action, value, comment)
+    if (!id) {
+      return res.status(500).json({ error: "Could not save the filter" })
+    }
+
+    console.log(`🛠️ Filter #${id} added to route #${routing.id} via admin API`)
+    await this.routingCache?.reload()
+    const filters = await this.database.getRoutingFilters([routing.id])
+    res.status(201).json(this.filterToJson(filters.find((row) => row.id === id)))
+  }
+
+  async deleteFilter(req, res) {
+    const routing = await this.findRouting(req, res)
+    if (!routing) return
+
+    const filters = await this.database.getRoutingFilters([routing.id])
+    const filter = filters.find((row) => String(row.id) === req.params.ruleId)
+    if (!filter) {
+      return res.status(404).json({ error: `Filter ${req.params.ruleId} not found on route ${routing.id}` })
+    }
+    if (!(await this.database.deleteRoutingFilter(filter.id))) {
+      return res.status(500).json({ error: "Could not delete the filter" })
+    }
+
+    console.log(`🛠️ Filter #${filter.id} removed from route #${routing.id} via admin API`)
+    await this.routingCache?.reload()
+    res.status(204).end()
+  }
+
+  async listTransforms(req, res) {
+    const routing = await this.findRouting(req, res)
+    if (routing) {
+      const transforms = await this.database.getRoutingTransforms([routing.id])
+      res.json(transforms.map((transform) => this.transformToJson(transform)))
+    }
+  }
+
+  async createTransform(req, res) {
+    const routing = await this.findRouting(req, res)
+    if (!routing) return
+
+    const input = req.body && typeof req.body === "object" ? req.body : {}
+    const existing = await this.database.getRoutingTransforms([routing.id])
+    const transform = {
+      type: input.type,
+      // Appended after the route's current rules unless a position is given
+      position:
+        input.position === undefined || input.position === null
+          ? Math.max(0, ...existing.map((row) => row.Position + 1))
+          : this.parseInteger(input.position),
+      pattern: input.pattern === undefined || input.pattern === "" ? null : input.pattern,
+      replacement: input.replacement === undefined ? null : input.replacement,
+      comment: input.comment === undefined || input.comment === "" ? null : input.comment,
+    }
+
+    const errors = []
+    if (!TRANSFORM_TYPES.includes(transform.type)) {
+      errors.push(`type must be one of ${TRANSFORM_TYPES.join(", ")}`)
+    }
+    if (transform.position === null) {
+      errors.push("position must be a number")
+    }
+    if (["replace", "strip_domains", "max_length"].includes(transform.type) && typeof transform.pattern !== "string") {
+      errors.push(`pattern is required for ${transform.type}`)
+    } else if (transform.type === "replace" && !this.isRegex(transform.pattern, "g")) {
+      errors.push("pattern must be a valid regular expression")
+    } else if (transform.type === "max_length" && !/^[1-9]\d*$/.test(transform.pattern)) {
+      errors.push("pattern must be a positive number for max_length")
+    }
+    if (["prefix", "suffix"].includes(transform.type) && typeof transform.replacement !== "string") {
+      errors.push(`replacement is required for ${transform.type}`)
+    } else if (transform.replacement !== null && typeof transform.replacement !== "string") {
+      errors.push("replacement must be a string")
+    }
+    if (transform.comment !== null && typeof transform.comment !== "string") {
+      errors.push("comment must be a string")
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid transform", details: errors })
+    }
+
+    const { type, position, pattern, replacement, comment } = transform
+    const id = await this.database.addRoutingTransform(routing.id, position, type, pattern, replacement, comment)
+    if (!id) {
+      return res.status(500).json({ error: "Could not save the transform" })
+    }
+
+    console.log(`🛠️ Transform #${id} added to route #${routing.id} via admin API`)
+    await this.routingCache?.reload()
+    const transforms = await this.database.getRoutingTransforms([routing.id])
+    res.status(201).json(this.transformToJson(transforms.find((row) => row.id === id)))
+  }
+
+  async deleteTransform(req, res) {
+    const routing = await this.findRouting(req, res)
+    if (!routing) return
+
+    const transforms = await this.database.getRoutingTransforms([routing.id])
+    const transform = transforms.find((row) => String(row.id) === req.params.ruleId)
+    if (!transform) {
+      return res.status(404).json({ error: `Transform ${req.params.ruleId} not found on route ${routing.id}` })
+    }
+    if (!(await this.database.deleteRoutingTransform(transform.id))) {
+      return res.status(500).json({ error: "Could not delete the transform" })
+    }
+
+    console.log(`🛠️ Transform #${transform.id} removed from route #${routing.id} via admin API`)
+    await this.routingCache?.reload()
+    res.status(204).end()
+  }
+
+  authenticate(req, res, next) {
+    const header = req.get("authorization") || ""
+    const token = header.startsWith("Bearer ") ? header.substring(7) : req.get("x-api-token") || ""
+
+    // Hashing gives both sides the same length for the constant-time comparison
+    const digest = (value) => crypto.createHash("sha256").update(value).digest()
+    if (!token || !crypto.timingSafeEqual(digest(token), digest(this.token))) {
+      return res.status(401).json({ error: "Invalid or missing API token" })
+    }
+    next()
+  }
+
+  async findRouting(req, res) {
+    const id = Number.parseInt(req.params.id)
+    const routing = /^\d+$/.test(req.params.id) ? await this.database.getRouting(id) : null
+    if (!routing) {
+      res.status(404).json({ error: `Route ${req.params.id} not found` })
+    }
+    return routing
+  }
+
+  async validate(body, existing, res) {
+    const errors = []
+    const input = body && typeof body === "object" ? body : {}
+    const hasTopic = input.topicId !== null && input.topicId !== undefined && input.topicId !== ""
+
+    const route = {
+      groupId: this.parseInteger(input.groupId),
+      topicId: hasTopic ? this.parseInteger(input.topicId) : null,
+      webhookUrl: typeof input.webhookUrl === "string" ? input.webhookUrl.trim() : "",
+      comment: input.comment === undefined || input.comment === "" ? null : input.comment,
+      catchAll: input.catchAll ?? false,
+      excludeTopics: RoutingResolver.parseTopicList(input.excludeTopics),
+      allowMentions: input.allowMentions ?? false,
+      outputMode: input.outputMode ?? "plain",
+      embedColor: input.embedColor === undefined || input.embedColor === "" ? null : input.embedColor,
+      threadMode: input.threadMode ?? false,
+      paused: input.paused ?? false,
+    }
+
+    if (route.groupId === null) {
+      errors.push("groupId must be a Telegram chat ID in bridge format (e.g. -1001234567890)")
+    }
+    if (hasTopic && !(route.topicId > 0)) {
+      errors.push("topicId must be a positive number or null")
+    }
+    if (!(await this.discordForwarder.validateWebhookUrl(route.webhookUrl))) {
+      errors.push("webhookUrl must be a Discord webhook URL (https://discord.com/api/webhooks/<id>/<token>)")
+    }
+    if (route.comment !== null && typeof route.comment !== "string") {
+      errors.push("comment must be a string")
+    }
+    for (const field of ["catchAll", "allowMentions", "threadMode", "paused"]) {
+      if (typeof route[field] !== "boolean") {
+        errors.push(`${field} must be true or false`)
+      }
+    }
+    if (route.catchAll && route.topicId !== null) {
+      errors.push("topicId must be null for a catch-all route")
+    }
+    if (!route.catchAll && route.excludeTopics.length > 0) {
+      errors.push("excludeTopics only applies to catch-all routes")
+    }
+    if (!OUTPUT_MODES.includes(route.outputMode)) {
+      errors.push(`outputMode must be one of ${OUTPUT_MODES.join(", ")}`)
+    }
+    if (route.embedColor !== null) {
+      const color = String(route.embedColor).match(/^#?([0-9a-f]{6})$/i)
+      if (color) {
+        route.embedColor = `#${color[1].toUpperCase()}`
+      } else {
+        errors.push("embedColor must be a #RRGGBB colour")
+      }
+    }
+
+    if (errors.length > 0) {
+      res.status(400).json({ error: "Invalid route", details: errors })
+      return null
+    }
+
+    // Only the account's own chats can be routed, an unchanged group is not looked up again
+    if (!existing || Number(existing.ID_Groups) !== route.groupId) {
+      if (!this.telegramBot?.isReady()) {
+        res.status(503).json({ error: "Telegram is not connected, the group cannot be verified" })
+        return null
+      }
+      const chatIds = await this.telegramBot.getDialogChatIds().catch(() => null)
+      if (!chatIds) {
+        res.status(503).json({ error: "Could not load the Telegram dialogs, try again later" })
+        return null
+      }
+      if (!chatIds.has(route.groupId)) {
+        const details = [`Group ${route.groupId} is not in the account's dialogs`]
+        res.status(400).json({ error: "Invalid route", details })
+        return null
+      }
+    }
+
+    return route
+  }
+
+  isRegex(value, defaultFlags) {
+    // Same /pattern/flags or bare pattern forms the filters and transforms accept
+    const literal = value.match(/^\/(.*)\/([a-z]*)$/s)
+    try {
+      return !!(literal ? new RegExp(literal[1], literal[2]) : new RegExp(value, defaultFlags))
+    } catch (error) {
+      return false
+    }
+  }
+
+  parseInteger(value) {
+    return /^-?\d+$/.test(String(value ?? "").trim()) ? Number(value) : null
+  }
+
+  toJson(routing) {
+    return {
+      id: routing.id,
+      groupId: Number(routing.ID_Groups),
+      topicId: routing.ID_Topic,
+      webhookUrl: routing.DC_Webhook,
+      comment: routing.Comment,
+      catchAll: !!routing.Catch_All,
+      excludeTopics: RoutingResolver.parseTopicList(routing.Exclude_Topics),
+      allowMentions: !!routing.Allow_Mentions,
+      outputMode: routing.Output_Mode,
+      embedColor: routing.Embed_Color,
+      threadMode: !!routing.Thread_Mode,
+      paused: !!routing.Paused,
+      createdAt: routing.created_at,
+      updatedAt: routing.updated_at,
+    }
+  }
+
+  filterToJson(filter) {
+    return {
+      id: filter.id,
+      routeId: filter.Routing_ID,
+      type: filter.Rule_Type,
+      action: filter.Action,
+      value: filter.Value,
+      comment: filter.Comment,
+      createdAt: filter.created_at,
+    }
+  }
+
+  transformToJson(transform) {
+    return {
+      id: transform.id,
+      routeId: transform.Routing_ID,
+      position: transform.Position,
+      type: transform.Transform_Type,
+      pattern: transform.Pattern,
+      replacement: transform.Replacement,
+      comment: transform.Comment,
+      createdAt: transform.created_at,
+    }
+  }
+}
+
+module.exports = AdminApi
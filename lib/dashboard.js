@@ -0,0 +1,150 @@
+const express = require("express")
+const crypto = require("crypto")
+const path = require("path")
+
+const SESSION_COOKIE = "tgdc_admin"
+const SESSION_HOURS = 12
+
+class Dashboard {
+  constructor(database, adminApi, activityLog, getStatus) {
+    this.database = database
+    this.adminApi = adminApi
+    this.activityLog = activityLog
+    this.getStatus = getStatus
+    this.password = process.env.ADMIN_PASSWORD || ""
+    // Sessions are signed with a key that only lives as long as the process
+    this.secret = crypto.randomBytes(32)
+  }
+
+  isEnabled() {
+    return this.password.length > 0
+  }
+
+  router() {
+    const router = express.Router()
+    // Express 4 does not catch rejected handlers itself
+    const handle = (handler) => (req, res, next) => handler(req, res).catch(next)
+    const authenticate = (req, res, next) => this.authenticate(req, res, next)
+
+    // The page itself holds no data, everything below /api needs a session
+    router.use(express.static(path.join(__dirname, "../public/admin")))
+    router.post("/login", express.json(), handle((req, res) => this.login(req, res)))
+    router.post("/logout", (req, res) => this.logout(req, res))
+
+    router.get("/api/status", authenticate, handle((req, res) => this.sendStatus(req, res)))
+    router.get("/api/stats", authenticate, handle((req, res) => this.sendStats(req, res)))
+    router.get("/api/events", authenticate, (req, res) => this.streamEvents(req, res))
+    router.use("/api", this.adminApi.router(authenticate))
+
+    return router
+  }
+
+  async login(req, res) {
+    const password = typeof req.body?.password === "string" ? req.body.password : ""
+
+    if (!this.safeEqual(password, this.password)) {
+      // Slows down guessing
+      await new Promise((resolve) => setTimeout(resolve, 1000))
+      console.log(`⚠️ Failed dashboard login from ${req.ip}`)
+      return res.status(401).json({ error: "Wrong password" })
+    }
+
+    const expires = Date.now() + SESSION_HOURS * 60 * 60 * 1000
+    res.cookie(SESSION_COOKIE, `${expires}.${this.sign(expires)}`, {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: req.secure,
+      path: req.baseUrl || "/",
+      expires: new Date(expires),
+    })
+    console.log(`🔐 Dashboard login from ${req.ip}`)
+    res.status(204).end()
+  }
+
+  logout(req, res) {
+    res.clearCookie(SESSION_COOKIE, { path: req.baseUrl || "/" })
+    res.status(204).end()
+  }
+
+  authenticate(req, res, next) {
+    const [expires, signature] = (this.getCookie(req, SESSION_COOKIE) || "").split(".")
+
+    if (!expires || !signature || Number(expires) < Date.now() || !this.safeEqual(signature, this.sign(expires))) {
+      return res.status(401).json({ error: "Login required" })
+    }
+    next()
+  }
+
+  async sendStatus(req, res) {
+    const status = await this.getStatus()
+    res.json({
+      telegramConnected: status.telegramConnected,
+      uptime: status.uptime,
+      memoryUsage: status.memoryUsage.rss,
+      pendingDeliveries: await this.database.countPendingDeliveries(),
+    })
+  }
+
+  async sendStats(req, res) {
+    const stats = await this.database.getRoutingStats()
+    res.json(
+      stats.map((row) => ({
+        routingId: row.Routing_ID,
+        forwarded: row.Forwarded,
+        lastForwardAt: row.Last_Forward_At,
+        lastError: row.Last_Error,
+        lastErrorAt: row.Last_Error_At,
+      })),
+    )
+  }
+
+  streamEvents(req, res) {
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" })
+    res.flushHeaders()
+
+    const send = (entry) => res.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry)}\n\n`)
+
+    // A reconnecting browser only gets what it missed
+    const lastEventId = Number.parseInt(req.get("last-event-id")) || 0
+    this.activityLog
+      .getRecent()
+      .filter((entry) => entry.id > lastEventId)
+      .forEach(send)
+    this.activityLog.on("entry", send)
+
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000)
+
+    req.on("close", () => {
+      clearInterval(heartbeat)
+      this.activityLog.off("entry", send)
+    })
+  }
+
+  sign(value) {
+    return crypto.createHmac("sha256", this.secret).update(String(value)).digest("hex")
+  }
+
+  safeEqual(a, b) {
+    // Hashing gives both sides the same length for the constant-time comparison
+    const digest = (value) => crypto.createHash("sha256").update(value).digest()
+    return crypto.timingSafeEqual(digest(a), digest(b))
+  }
+
+  getCookie(req, name) {
+    for (const pair of (req.get("cookie") || "").split(";")) {
+      const [key, ...value] = pair.trim().split("=")
+      if (key === name) {
+        try {
+          return decodeURIComponent(value.join("="))
+        } catch (error) {
+          // A malformed value counts as no cookie, so the client is asked to log in instead of getting an error
+          return null
+        }
+      }
+    }
+    return null
+  }
+}
+
+module.exports = Dashboard
@@ -0,0 +1,406 @@
+const fs = require("fs").promises
+const path = require("path")
+const crypto = require("crypto")
+const os = require("os")
+
+class DeliveryQueue {
+  constructor(database, discordForwarder, activityLog = null, metrics = null) {
+    this.database = database
+    this.discordForwarder = discordForwarder
+    this.activityLog = activityLog
+    this.metrics = metrics
+    this.spoolDir = path.join(__dirname, "../spool")
+    this.maxAttempts = Number.parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5
+    this.retryBaseDelay = Number.parseInt(process.env.QUEUE_RETRY_BASE_MS) || 5000
+    this.maxRetryDelay = 15 * 60 * 1000 // 15 minutes
+    this.pollInterval = Number.parseInt(process.env.QUEUE_POLL_MS) || 2000
+    this.batchSize = 100
+    this.concurrency = Number.parseInt(process.env.QUEUE_CONCURRENCY) || 5
+    // The bridge and the scripts may work on the queue at the same time, each message is claimed by one of them
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`.substring(0, 64)
+    this.claimDuration = 10 * 60 * 1000 // 10 minutes
+    this.pollTimer = null
+    this.processing = null
+    this.rerun = false
+  }
+
+  async start() {
+    await fs.mkdir(this.spoolDir, { recursive: true })
+
+    const pending = await this.database.countPendingDeliveries()
+    console.log(`📬 Delivery queue started (${pending} pending message(s))`)
+
+    this.pollTimer = setInterval(() => this.kick(), this.pollInterval)
+    this.kick()
+  }
+
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer)
+      this.pollTimer = null
+    }
+
+    // Let the batch in flight finish, undelivered rows stay queued for the next start
+    if (this.processing) {
+      await this.processing
+    }
+
+    console.log("📪 Delivery queue stopped")
+  }
+
+  async waitForPending(maxPending = 0, timeout = Infinity) {
+    // Lets bulk producers wait for the queue to catch up instead of filling the spool
+    const deadline = Date.now() + timeout
+    let pending = await this.database.countPendingDeliveries()
+    while (pending > maxPending && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval))
+      pending = await this.database.countPendingDeliveries()
+    }
+    return pending
+  }
+
+  async enqueue(routing, groupId, telegramMessageId, messageData, source = {}) {
+    // Each queued message gets its own copy of the files outside temp/, so the hourly cleanup
+    // can't remove them while they wait and one destination's files outlive another's delivery
+    const spoolDir = path.join(this.spoolDir, `${Date.now()}_${crypto.randomBytes(4).toString("hex")}`)
+    await fs.mkdir(spoolDir, { recursive: true })
+
+    const files = []
+    for (const file of messageData.files || []) {
+      const spooledPath = path.join(spoolDir, `${files.length}_${path.basename(file.path)}`)
+      await this.linkFile(file.path, spooledPath)
+      files.push({ ...file, path: spooledPath })
+    }
+
+    const payload = { ...messageData, files, spoolDir }
+    await this.database.archiveMessage({
+      ...source,
+      routingId: routing.id,
+      groupId,
+      telegramMessageId,
+      senderName: messageData.username,
+      content: source.text,
+      files: files.map((file) => file.name),
+    })
+
+    const deliveryId = await this.database.enqueueDelivery(
+      routing.id,
+      groupId,
+      telegramMessageId,
+      routing.DC_Webhook,
+      payload,
+    )
+
+    if (!deliveryId) {
+      // Without the database the message can't wait in the queue, one direct attempt beats losing it
+      console.log(`   ⚠️ Delivery queue unavailable, sending directly`)
+      if (!(await this.deliverDirectly(routing, groupId, telegramMessageId, payload))) {
+        throw new Error("Could not store message in the delivery queue or deliver it directly")
+      }
+      return null
+    }
+
+    console.log(`   📥 Queued for delivery (#${deliveryId})`)
+    this.kick()
+    return deliveryId
+  }
+
+  kick() {
+    // Runs are never overlapped, a kick during a run schedules one more pass
+    if (this.processing) {
+      this.rerun = true
+      return this.processing
+    }
+
+    this.processing = (async () => {
+      try {
+        do {
+          this.rerun = false
+          await this.processPending()
+        } while (this.rerun)
+      } catch (error) {
+        console.error("Error processing delivery queue:", error.message)
+      } finally {
+        this.processing = null
+      }
+    })()
+
+    return this.processing
+  }
+
+  async processPending() {
+    // Each webhook gets its own batch in queue order and is worked through sequentially
+    const webhooks = await this.database.getReadyWebhooks()
+
+    try {
+      // Independent webhooks are delivered in parallel, limited by the concurrency setting
+      const workers = Array.from({ length: Math.min(this.concurrency, webhooks.length) }, async () => {
+        while (webhooks.length > 0) {
+          const claimedUntil = Date.now() + this.claimDuration
+          const deliveries = await this.database.claimDeliveries(
+            webhooks.shift(),
+            this.owner,
+            new Date(claimedUntil),
+            this.batchSize,
+          )
+          // Stop well before the claim runs out, the rest is claimed again on the next pass
+          await this.processWebhookDeliveries(deliveries, claimedUntil - this.claimDuration / 2)
+        }
+      })
+      await Promise.all(workers)
+    } finally {
+      // Whatever wasn't delivered in this pass is free for any process again
+      await this.database.releaseDeliveries(this.owner)
+    }
+  }
+
+  async processWebhookDeliveries(deliveries, stopAt = Infinity) {
+    const now = Date.now()
+
+    for (const delivery of deliveries) {
+      if (Date.now() > stopAt) {
+        return
+      }
+
+      // A message waiting for its retry holds back the later ones to keep order
+      if (new Date(delivery.Next_Attempt_At).getTime() > now) {
+        return
+      }
+
+      const delivered = await this.deliver(delivery)
+      if (!delivered) {
+        return
+      }
+    }
+  }
+
+  async deliver(delivery, retryingThread = false) {
+    const payload = JSON.parse(delivery.Payload)
+
+    try {
+      // Threads are looked up here rather than at enqueue time, messages queued for a topic
+      // before its thread exists must not each create one
+      const thread = payload.thread
+        ? await this.database.getTopicThread(delivery.Routing_ID, payload.thread.topicId)
+        : null
+      let webhookUrl = thread
+        ? this.discordForwarder.getThreadUrl(delivery.DC_Webhook, thread.DC_Thread_ID)
+        : delivery.DC_Webhook
+      const messageData = payload.thread && !thread ? { ...payload, threadName: payload.thread.name } : payload
+
+      // Every part is recorded as it goes out, a retry after a failed part continues behind the ones sent
+      payload.sentParts = payload.sentParts || []
+      const progress = {
+        skip: payload.sentParts.length,
+        onPartSent: async (entry) => {
+          // The first part opened the thread, later parts and retries post into it
+          const createdThreadId = entry.createdThreadId
+          if (createdThreadId) {
+            await this.database.saveTopicThread(
+              delivery.Routing_ID,
+              delivery.ID_Groups,
+              payload.thread.topicId,
+              createdThreadId,
+              payload.thread.name,
+            )
+            webhookUrl = this.discordForwarder.getThreadUrl(delivery.DC_Webhook, createdThreadId)
+          }
+          await this.recordSentPart(delivery, payload, entry)
+        },
+      }
+
+      try {
+        await this.discordForwarder.sendMessage(webhookUrl, messageData, progress)
+      } catch (error) {
+        // The thread was deleted on Discord along with any parts sent to it, forget it and start over in a new one
+        if (thread && !retryingThread && error.response?.data?.code === 10003) {
+          console.log(`🧵 Discord thread ${thread.DC_Thread_ID} no longer exists, creating a new one`)
+          await this.database.deleteTopicThread(thread.id)
+          return this.deliver({ ...delivery, Payload: JSON.stringify({ ...payload, sentParts: [] }) }, true)
+        }
+        throw error
+      }
+
+      const sent = payload.sentParts
+      await this.saveMessageMappings(sent, delivery, webhookUrl)
+      await this.database.deleteDelivery(delivery.id)
+      await this.removeSpool(payload)
+      await this.database.recordRoutingDelivery(delivery.Routing_ID)
+      await this.archiveForwarded(delivery, sent)
+      this.metrics?.forwarded.inc({ route: delivery.Routing_ID })
+      this.recordActivity("forwarded", delivery, payload)
+
+      console.log(`📤 Delivered queued message #${delivery.id}`)
+      return true
+    } catch (error) {
+      await this.handleFailure(delivery, payload, error)
+      return false
+    }
+  }
+
+  async deliverDirectly(routing, groupId, telegramMessageId, payload) {
+    const delivery = {
+      id: null,
+      Routing_ID: routing.id,
+      ID_Groups: groupId,
+      TG_Message_ID: telegramMessageId,
+      DC_Webhook: routing.DC_Webhook,
+    }
+
+    try {
+      // The topic's thread can't be looked up either, so thread routes open a new one
+      const messageData = payload.thread ? { ...payload, threadName: payload.thread.name } : payload
+      const sent = await this.discordForwarder.sendMessage(routing.DC_Webhook, messageData)
+
+      const createdThreadId = sent[0]?.createdThreadId
+      const webhookUrl = createdThreadId
+        ? this.discordForwarder.getThreadUrl(routing.DC_Webhook, createdThreadId)
+        : routing.DC_Webhook
+      await this.saveMessageMappings(sent, delivery, webhookUrl)
+      await this.archiveForwarded(delivery, sent)
+      this.metrics?.forwarded.inc({ route: delivery.Routing_ID })
+
+      this.recordActivity("forwarded", delivery, payload)
+      console.log(`   📤 Delivered directly`)
+      return true
+    } catch (error) {
+      await this.archiveFailed(delivery, "failed", error.message)
+      this.metrics?.failed.inc({ route: delivery.Routing_ID })
+      this.recordActivity("failed", delivery, payload, { error: error.message, attempts: 1 })
+      console.error(`   ❌ Direct delivery failed: ${error.message}`)
+      return false
+    } finally {
+      await this.removeSpool(payload)
+    }
+  }
+
+  async recordSentPart(delivery, payload, entry) {
+    // Only what the message mappings and the archive need, not the whole Discord message
+    payload.sentParts.push({
+      message: { id: entry.message?.id, channel_id: entry.message?.channel_id },
+      content: entry.content,
+      files: entry.files.map((file) => ({ messageId: file.messageId })),
+    })
+    await this.database.updateDeliveryPayload(delivery.id, payload)
+  }
+
+  async handleFailure(delivery, payload, error) {
+    const attempts = delivery.Attempts + 1
+    const status = error.response?.status
+    const errorMessage = status ? `HTTP ${status}: ${error.message}` : error.message
+
+    // Client errors other than rate limits won't succeed on a retry
+    const permanent = status >= 400 && status < 500 && status !== 429
+    await this.database.recordRoutingError(delivery.Routing_ID, errorMessage)
+
+    if (permanent || attempts >= this.maxAttempts) {
+      // With the parts already sent, so a replay doesn't post them again
+      const deadLetterId = await this.database.moveToDeadLetter(
+        { ...delivery, Payload: JSON.stringify(payload) },
+        attempts,
+        errorMessage,
+      )
+      console.error(
+        `☠️ Queued message #${delivery.id} moved to dead letters (#${deadLetterId}) after ${attempts} attempt(s): ${errorMessage}`,
+      )
+      await this.archiveFailed(delivery, "failed", errorMessage)
+      this.metrics?.failed.inc({ route: delivery.Routing_ID })
+      this.recordActivity("failed", delivery, payload, { error: errorMessage, attempts })
+      return
+    }
+
+    const delay = this.getRetryDelay(error, attempts)
+    await this.database.markDeliveryFailed(delivery.id, attempts, new Date(Date.now() + delay), errorMessage)
+    await this.archiveFailed(delivery, "retrying", errorMessage)
+    this.recordActivity("retrying", delivery, payload, { error: errorMessage, attempts })
+    console.log(`🔁 Queued message #${delivery.id} failed (attempt ${attempts}/${this.maxAttempts}), retrying in ${delay}ms`)
+  }
+
+  async archiveForwarded(delivery, sent) {
+    const { Routing_ID, ID_Groups, TG_Message_ID } = delivery
+    const discordMessageId = sent.find((entry) => entry.message?.id)?.message.id
+    await this.database.markArchiveForwarded(Routing_ID, ID_Groups, TG_Message_ID, discordMessageId)
+  }
+
+  async archiveFailed(delivery, status, errorMessage) {
+    const { Routing_ID, ID_Groups, TG_Message_ID } = delivery
+    await this.database.markArchiveFailed(Routing_ID, ID_Groups, TG_Message_ID, status, errorMessage)
+  }
+
+  recordActivity(type, delivery, payload, details = {}) {
+    if (!this.activityLog) return
+
+    this.activityLog.record(type, {
+      deliveryId: delivery.id,
+      routingId: delivery.Routing_ID,
+      groupId: Number(delivery.ID_Groups),
+      messageId: Number(delivery.TG_Message_ID),
+      sender: payload.username || null,
+      preview: (payload.content || "").substring(0, 120),
+      ...details,
+    })
+  }
+
+  getRetryDelay(error, attempts) {
+    // Discord tells us how long to wait on 429, in the header (seconds) or the body
+    const retryAfter = Number.parseFloat(error.response?.headers?.["retry-after"] ?? error.response?.data?.retry_after)
+    if (!Number.isNaN(retryAfter)) {
+      return Math.ceil(retryAfter * 1000)
+    }
+
+    // Exponential backoff with jitter
+    const delay = this.retryBaseDelay * Math.pow(2, attempts - 1)
+    return Math.min(delay, this.maxRetryDelay) + Math.floor(Math.random() * 1000)
+  }
+
+  async saveMessageMappings(sent, delivery, webhookUrl = delivery.DC_Webhook) {
+    const primaryMessageId = delivery.TG_Message_ID
+
+    for (const [index, entry] of sent.entries()) {
+      if (!entry.message?.id) {
+        continue
+      }
+
+      // The message holding the text maps to every Discord message carrying a text chunk,
+      // other album parts map to the Discord message carrying their file
+      const telegramMessageIds = new Set(
+        entry.files.map((file) => file.messageId).filter((id) => id && id !== primaryMessageId),
+      )
+      if (entry.content || index === 0) {
+        telegramMessageIds.add(primaryMessageId)
+      }
+
+      for (const telegramMessageId of telegramMessageIds) {
+        await this.database.saveMessageMapping(
+          delivery.Routing_ID,
+          delivery.ID_Groups,
+          telegramMessageId,
+          webhookUrl,
+          entry.message,
+          telegramMessageId === primaryMessageId,
+        )
+      }
+    }
+  }
+
+  async linkFile(source, destination) {
+    try {
+      // A hard link shares the data instead of copying it for every destination
+      await fs.link(source, destination)
+    } catch (error) {
+      await fs.copyFile(source, destination)
+    }
+  }
+
+  async removeSpool(payload) {
+    if (!payload.spoolDir) return
+
+    try {
+      await fs.rm(payload.spoolDir, { recursive: true, force: true })
+    } catch (error) {
+      console.error(`Error removing spool directory ${payload.spoolDir}:`, error.message)
+    }
+  }
+}
+
+module.exports = DeliveryQueue
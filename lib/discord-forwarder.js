@@ -2,19 +2,33 @@ const axios = require("axios")
 const FormData = require("form-data")
 const fs = require("fs").promises
 const path = require("path")
+const MessageSplitter = require("./message-splitter")
 
 class DiscordForwarder {
-  constructor() {
-    this.rateLimitDelay = 1000 // 1 second between requests
-    this.lastRequestTime = 0
+  constructor(metrics = null) {
+    this.metrics = metrics
     this.maxRetries = 3
-    this.retryDelay = 2000 // 2 seconds
+    this.webhookInfoCache = new Map()
+    this.maxAttachments = 10 // Discord limit per message
+    this.maxContentLength = 2000 // Discord limit per message
+    this.maxEmbedDescriptionLength = 4096 // Discord limit per embed
+    this.defaultEmbedColor = 0x5865f2
+    this.maxInlineRateLimitWait = 10000 // Longer 429 waits are left to the delivery queue
+    this.webhookBuckets = new Map() // webhook -> Discord rate limit bucket
+    this.buckets = new Map() // bucket hash and webhook -> { remaining, resetAt }
+    this.globalResetAt = 0
+    this.webhookLanes = new Map() // webhook -> tail of its request chain
+    this.threadlessWebhooks = new Set() // webhooks whose channel can't hold threads
+    this.allowedMentionTypes = this.parseAllowedMentionTypes(process.env.DISCORD_ALLOWED_MENTIONS)
   }
 
-  async sendMessage(webhookUrl, messageData) {
-    try {
-      await this.handleRateLimit()
+  async sendMessage(webhookUrl, messageData, progress = {}) {
+    // Messages to one webhook go out in order, different webhooks proceed in parallel
+    return this.runInWebhookLane(webhookUrl, () => this.postMessage(webhookUrl, messageData, progress))
+  }
 
+  async postMessage(webhookUrl, messageData, progress = {}) {
+    try {
       let avatarUrl = null
       if (messageData.avatarUrl) {
         if (messageData.avatarUrl.startsWith("http://") || messageData.avatarUrl.startsWith("https://")) {
@@ -35,25 +49,28 @@ class DiscordForwarder {
         }
       }
 
+      const content = this.composeContent(messageData)
+
       // Prepare message payload
       const payload = {
         username: messageData.username || "Unknown User",
         avatar_url: avatarUrl,
-        content: messageData.content || "",
+        allowed_mentions: this.getAllowedMentions(messageData, content),
       }
 
-      // Handle file attachments
-      if (messageData.files && messageData.files.length > 0) {
-        await this.sendMessageWithFiles(webhookUrl, payload, messageData.files)
-      } else {
-        // Send text-only message
-        await this.sendTextMessage(webhookUrl, payload)
-      }
+      // Where the parts go, a message opening a new thread moves the rest into it
+      const target = { webhookUrl, threadName: messageData.threadName || null }
+
+      const sent =
+        messageData.outputMode === "embed" || messageData.outputMode === "hybrid"
+          ? await this.postEmbedMessage(target, payload, content, messageData, avatarUrl, progress)
+          : await this.postPlainMessage(target, payload, content, messageData.files || [], progress)
 
       // Clean up temporary files
       await this.cleanupTempFiles(messageData)
 
       console.log(`✅ Message sent to Discord successfully`)
+      return sent
     } catch (error) {
       console.error(`❌ Failed to send message to Discord:`, error.message)
 
@@ -64,49 +81,490 @@ class DiscordForwarder {
     }
   }
 
+  async postPlainMessage(target, payload, content, files, progress = {}) {
+    // Each part is one Discord message with its text chunk and the files it carries
+    const parts = []
+
+    // Long text goes out as consecutive messages, attachments ride on the last chunk
+    const chunks = this.splitContent(content)
+    const lastChunk = chunks.pop() || ""
+    for (const chunk of chunks) {
+      parts.push({ message: { ...payload, content: chunk }, content: chunk, files: [] })
+    }
+
+    // Handle file attachments
+    if (files.length > 0) {
+      // Split into batches of Discord's attachment limit, the last text chunk goes with the first one
+      for (let i = 0; i < files.length; i += this.maxAttachments) {
+        const batch = files.slice(i, i + this.maxAttachments)
+        const content = i === 0 ? lastChunk : ""
+        parts.push({ message: { ...payload, content }, content, files: batch })
+      }
+    } else {
+      // Send text-only message
+      parts.push({ message: { ...payload, content: lastChunk }, content: lastChunk, files: [] })
+    }
+
+    return this.sendParts(target, parts, progress)
+  }
+
+  async postEmbedMessage(target, payload, content, messageData, avatarUrl, progress = {}) {
+    // Embed mode puts the text in the embed, hybrid keeps it as content so mentions still ping
+    const embedMode = messageData.outputMode === "embed"
+    const parts = []
+
+    const chunks = embedMode ? this.splitContent(content, this.maxEmbedDescriptionLength) : this.splitContent(content)
+    const lastChunk = chunks.pop() || ""
+    for (const [index, chunk] of chunks.entries()) {
+      const message = embedMode
+        ? { ...payload, embeds: [this.buildEmbed(messageData, avatarUrl, { author: index === 0, description: chunk })] }
+        : { ...payload, content: chunk }
+      parts.push({ message, content: chunk, files: [] })
+    }
+
+    // Embeds reference uploads by file name, so every attachment gets a unique URL-safe one
+    const files = (messageData.files || []).map((file, index) => ({
+      ...file,
+      name: this.getAttachmentName(file, index),
+    }))
+    const mainEmbed = (image) =>
+      this.buildEmbed(messageData, avatarUrl, {
+        author: !embedMode || chunks.length === 0,
+        description: embedMode ? lastChunk : null,
+        image,
+        footer: true,
+      })
+
+    if (files.length === 0) {
+      const message = { ...payload, content: embedMode ? "" : lastChunk, embeds: [mainEmbed(null)] }
+      parts.push({ message, content: lastChunk, files: [] })
+      return this.sendParts(target, parts, progress)
+    }
+
+    // The first image is the main embed's image, further images get an embed of their own
+    // and other files stay plain attachments. A batch never exceeds Discord's 10 embeds.
+    for (let i = 0; i < files.length; i += this.maxAttachments) {
+      const batch = files.slice(i, i + this.maxAttachments)
+      const images = batch.filter((file) => file.type === "image")
+      const embeds = []
+
+      if (i === 0) {
+        embeds.push(mainEmbed(images.shift() || null))
+      }
+      for (const image of images) {
+        embeds.push(this.buildEmbed(messageData, avatarUrl, { image }))
+      }
+
+      const text = i === 0 ? lastChunk : ""
+      parts.push({ message: { ...payload, content: embedMode ? "" : text, embeds }, content: text, files: batch })
+    }
+
+    return this.sendParts(target, parts, progress)
+  }
+
+  async sendParts(target, parts, progress = {}) {
+    // Each entry records a posted Discord message, the text chunk and the files it carried.
+    // Parts sent by an earlier, interrupted attempt are skipped so a retry continues behind them.
+    const sent = []
+    for (const part of parts.slice(progress.skip || 0)) {
+      const hadThread = !!target.threadId
+      const discordMessage = await this.sendPart(target, part.message, part.files)
+      const entry = { message: discordMessage, content: part.content, files: part.files }
+      if (!hadThread && target.threadId) {
+        entry.createdThreadId = target.threadId
+      }
+      sent.push(entry)
+      await progress.onPartSent?.(entry)
+    }
+    return sent
+  }
+
+  async sendPart(target, payload, files = []) {
+    const webhookKey = this.getWebhookKey(target.webhookUrl)
+    if (target.threadName && this.threadlessWebhooks.has(webhookKey)) {
+      target.threadName = null
+    }
+
+    // thread_name makes Discord create a forum thread, its ID comes back as the message's channel
+    const body = target.threadName ? { ...payload, thread_name: target.threadName.substring(0, 100) } : payload
+    let discordMessage
+    try {
+      discordMessage =
+        files.length > 0
+          ? await this.sendMessageWithFiles(target.webhookUrl, body, files)
+          : await this.sendTextMessage(target.webhookUrl, body)
+    } catch (error) {
+      // Only forum and media channels take thread_name, a text channel gets the messages without threads
+      if (!target.threadName || error.response?.data?.code !== 220003) {
+        throw error
+      }
+      console.log(`⚠️ The webhook's channel is not a forum, thread mode falls back to posting in the channel`)
+      this.threadlessWebhooks.add(webhookKey)
+      return this.sendPart(target, payload, files)
+    }
+
+    if (target.threadName && discordMessage?.channel_id) {
+      console.log(`🧵 Created Discord thread "${target.threadName}" (${discordMessage.channel_id})`)
+      target.threadId = discordMessage.channel_id
+      target.webhookUrl = this.getThreadUrl(target.webhookUrl, discordMessage.channel_id)
+      target.threadName = null
+    }
+
+    return discordMessage
+  }
+
+  getThreadUrl(webhookUrl, threadId) {
+    const url = new URL(webhookUrl)
+    url.searchParams.set("thread_id", threadId)
+    return url.toString()
+  }
+
+  async updateThread(threadId, changes) {
+    // Webhooks can only post, renaming or closing a thread needs a bot in the server
+    const token = process.env.DISCORD_BOT_TOKEN
+    if (!token) {
+      return false
+    }
+
+    const url = `https://discord.com/api/v10/channels/${threadId}`
+    try {
+      await this.request(url, () => ({
+        method: "patch",
+        url,
+        data: changes,
+        headers: {
+          Authorization: `Bot ${token}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 30000,
+      }))
+      console.log(`🧵 Discord thread ${threadId} updated: ${JSON.stringify(changes)}`)
+      return true
+    } catch (error) {
+      console.error(`❌ Failed to update Discord thread ${threadId}:`, error.response?.data?.message || error.message)
+      return false
+    }
+  }
+
+  buildEmbed(messageData, avatarUrl, options = {}) {
+    const embed = { color: this.parseColor(messageData.embedColor) }
+
+    if (options.author) {
+      embed.author = { name: messageData.username || "Unknown User" }
+      // Embeds only take hosted images, base64 avatars are left to the webhook itself
+      if (avatarUrl && /^https?:\/\//.test(avatarUrl)) {
+        embed.author.icon_url = avatarUrl
+      }
+    }
+    if (options.description) {
+      embed.description = options.description
+    }
+    if (options.image) {
+      embed.image = { url: `attachment://${options.image.name}` }
+    }
+    if (options.footer) {
+      if (messageData.embedFooter) {
+        embed.footer = { text: messageData.embedFooter.substring(0, 2048) }
+      }
+      if (messageData.timestamp) {
+        embed.timestamp = messageData.timestamp
+      }
+    }
+
+    return embed
+  }
+
+  parseColor(color) {
+    // Accepts #RRGGBB, RRGGBB or a decimal value
+    if (color === null || color === undefined || color === "") {
+      return this.defaultEmbedColor
+    }
+
+    const value = String(color).trim()
+    const parsed = /^#?[0-9a-f]{6}$/i.test(value) ? Number.parseInt(value.replace("#", ""), 16) : Number.parseInt(value)
+    return Number.isNaN(parsed) ? this.defaultEmbedColor : parsed
+  }
+
+  getAttachmentName(file, index) {
+    const extension = path.extname(file.name || "").replace(/[^\w.]/g, "")
+    const base = path
+      .basename(file.name || "file", path.extname(file.name || ""))
+      .replace(/[^\w-]/g, "_")
+      .substring(0, 50)
+    return `${index}_${base || "file"}${extension}`
+  }
+
   async sendTextMessage(webhookUrl, payload) {
-    const response = await axios.post(webhookUrl, payload, {
+    const response = await this.request(webhookUrl, () => ({
+      method: "post",
+      url: this.getExecuteUrl(webhookUrl),
+      data: payload,
       headers: {
         "Content-Type": "application/json",
       },
       timeout: 30000,
-    })
+    }))
 
     if (response.status !== 204 && response.status !== 200) {
       throw new Error(`Discord API returned status ${response.status}`)
     }
+
+    return response.data
   }
 
   async sendMessageWithFiles(webhookUrl, payload, files) {
-    const form = new FormData()
-
-    // Add JSON payload
-    form.append("payload_json", JSON.stringify(payload))
-
-    // Add files
+    // Read once, the form itself is a stream and has to be rebuilt for every attempt
+    const attachments = []
     for (let i = 0; i < files.length; i++) {
       const file = files[i]
       if (await this.fileExists(file.path)) {
-        const fileBuffer = await fs.readFile(file.path)
-        form.append(`files[${i}]`, fileBuffer, {
+        attachments.push({ index: i, buffer: await fs.readFile(file.path), file })
+      }
+    }
+
+    const response = await this.request(webhookUrl, () => {
+      const form = new FormData()
+
+      // Add JSON payload
+      form.append("payload_json", JSON.stringify(payload))
+
+      // Add files
+      for (const { index, buffer, file } of attachments) {
+        form.append(`files[${index}]`, buffer, {
           filename: file.name,
           contentType: this.getContentType(file.type),
         })
       }
-    }
 
-    const response = await axios.post(webhookUrl, form, {
-      headers: {
-        ...form.getHeaders(),
-      },
-      timeout: 60000, // Longer timeout for file uploads
-      maxContentLength: 25 * 1024 * 1024, // 25MB max
-      maxBodyLength: 25 * 1024 * 1024,
+      return {
+        method: "post",
+        url: this.getExecuteUrl(webhookUrl),
+        data: form,
+        headers: {
+          ...form.getHeaders(),
+        },
+        timeout: 60000, // Longer timeout for file uploads
+        maxContentLength: 25 * 1024 * 1024, // 25MB max
+        maxBodyLength: 25 * 1024 * 1024,
+      }
     })
 
     if (response.status !== 204 && response.status !== 200) {
       throw new Error(`Discord API returned status ${response.status}`)
     }
+
+    return response.data
+  }
+
+  async editMessage(webhookUrl, messageId, content, allowedMentions = { parse: [] }) {
+    const response = await this.request(webhookUrl, () => ({
+      method: "patch",
+      url: this.getMessageUrl(webhookUrl, messageId),
+      data: { content, allowed_mentions: allowedMentions },
+      headers: {
+        "Content-Type": "application/json",
+      },
+      timeout: 30000,
+    }))
+
+    console.log(`✏️ Discord message ${messageId} updated`)
+    return response.data
+  }
+
+  async editEmbedMessage(webhookUrl, messageId, description, allowedMentions = { parse: [] }) {
+    const response = await this.request(webhookUrl, () => ({
+      method: "get",
+      url: this.getMessageUrl(webhookUrl, messageId),
+      timeout: 30000,
+    }))
+
+    // Messages sent before the route switched to embeds are edited as plain text
+    const embeds = response.data?.embeds || []
+    if (embeds.length === 0) {
+      return this.editMessage(webhookUrl, messageId, description, allowedMentions)
+    }
+
+    // Only the text changes, author, image, footer and the other embeds are sent back as they are
+    const [first, ...rest] = embeds
+    const updated = { ...first, description: description || undefined }
+    const patched = await this.request(webhookUrl, () => ({
+      method: "patch",
+      url: this.getMessageUrl(webhookUrl, messageId),
+      data: { embeds: [updated, ...rest], allowed_mentions: allowedMentions },
+      headers: {
+        "Content-Type": "application/json",
+      },
+      timeout: 30000,
+    }))
+
+    console.log(`✏️ Discord message ${messageId} updated`)
+    return patched.data
+  }
+
+  async editMessages(webhookUrl, messageIds, messageData) {
+    return this.runInWebhookLane(webhookUrl, () => this.updateMessages(webhookUrl, messageIds, messageData))
+  }
+
+  async updateMessages(webhookUrl, messageIds, messageData) {
+    const content = this.composeContent(messageData)
+    const allowedMentions = this.getAllowedMentions(messageData, content)
+    const embedMode = messageData.outputMode === "embed"
+    const maxLength = embedMode ? this.maxEmbedDescriptionLength : this.maxContentLength
+    const chunks = this.splitContent(content, maxLength)
+    if (chunks.length === 0) {
+      chunks.push("")
+    }
+
+    // More text than messages: the overflow is folded into the last message we can edit
+    if (chunks.length > messageIds.length) {
+      const overflow = chunks.splice(messageIds.length - 1).join("\n")
+      chunks.push(this.truncateContent(overflow, maxLength))
+      console.log(`⚠️ Edited text no longer fits the original ${messageIds.length} message(s), truncating`)
+    }
+
+    // Less text than messages: chunks are aligned to the end because only the
+    // last message can carry attachments, surplus leading messages are deleted
+    const surplus = messageIds.length - chunks.length
+    const deletedIds = []
+    for (let i = 0; i < surplus; i++) {
+      await this.removeMessage(webhookUrl, messageIds[i])
+      deletedIds.push(messageIds[i])
+    }
+
+    for (let i = 0; i < chunks.length; i++) {
+      if (embedMode) {
+        await this.editEmbedMessage(webhookUrl, messageIds[surplus + i], chunks[i], allowedMentions)
+      } else {
+        await this.editMessage(webhookUrl, messageIds[surplus + i], chunks[i], allowedMentions)
+      }
+    }
+
+    return deletedIds
+  }
+
+  async deleteMessage(webhookUrl, messageId) {
+    return this.runInWebhookLane(webhookUrl, () => this.removeMessage(webhookUrl, messageId))
+  }
+
+  async removeMessage(webhookUrl, messageId) {
+    try {
+      await this.request(webhookUrl, () => ({
+        method: "delete",
+        url: this.getMessageUrl(webhookUrl, messageId),
+        timeout: 30000,
+      }))
+      console.log(`🗑️ Discord message ${messageId} deleted`)
+      return true
+    } catch (error) {
+      // Already gone on the Discord side
+      if (error.response?.status === 404) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  composeContent(messageData) {
+    const content = messageData.content || ""
+    if (!messageData.reply) {
+      return this.sanitizeMentions(content)
+    }
+
+    return this.sanitizeMentions(`${this.formatReplyQuote(messageData.reply)}\n${content}`)
+  }
+
+  sanitizeMentions(content) {
+    // A zero-width space keeps @everyone/@here readable without pinging anyone
+    if (this.allowedMentionTypes.includes("everyone")) {
+      return content
+    }
+    return content.replace(/@(everyone|here)/g, "@\u200b$1")
+  }
+
+  parseAllowedMentionTypes(value) {
+    // Comma-separated Discord parse types, empty or "none" means no pings
+    return String(value || "")
+      .split(",")
+      .map((type) => type.trim().toLowerCase())
+      .filter((type) => ["users", "roles", "everyone"].includes(type))
+  }
+
+  getAllowedMentions(messageData, content) {
+    const allowedMentions = { parse: [...this.allowedMentionTypes] }
+    if (!messageData.allowMentions) {
+      return allowedMentions
+    }
+
+    // Routes that opted in may ping the users and roles the bridge mapped, Discord rejects
+    // explicit IDs for a type that is already in parse and takes at most 100 of each
+    const { users, roles } = this.extractMentions(content)
+    if (users.length > 0 && !allowedMentions.parse.includes("users")) {
+      allowedMentions.users = users.slice(0, 100)
+    }
+    if (roles.length > 0 && !allowedMentions.parse.includes("roles")) {
+      allowedMentions.roles = roles.slice(0, 100)
+    }
+    return allowedMentions
+  }
+
+  extractMentions(content) {
+    // Mention syntax typed on Telegram arrives escaped as \<@..., so unescaped ones were mapped by the bridge
+    const users = new Set()
+    const roles = new Set()
+    for (const match of (content || "").matchAll(/(?<!\\)<@([!&]?)(\d+)>/g)) {
+      if (match[1] === "&") {
+        roles.add(match[2])
+      } else {
+        users.add(match[2])
+      }
+    }
+    return { users: [...users], roles: [...roles] }
+  }
+
+  formatReplyQuote(reply) {
+    let quote = `> ↪️ **${reply.author}**`
+    if (reply.excerpt) {
+      quote += `: ${reply.excerpt}`
+    }
+    if (reply.link) {
+      quote += ` ([jump](${reply.link}))`
+    }
+    return quote
+  }
+
+  async getMessageLink(webhookUrl, channelId, messageId) {
+    if (!channelId || !messageId) {
+      return null
+    }
+
+    // Message links need the guild ID, which only the webhook itself reports
+    let webhookInfo = this.webhookInfoCache.get(webhookUrl)
+    if (!webhookInfo) {
+      webhookInfo = await this.getWebhookInfo(webhookUrl)
+      if (webhookInfo) {
+        this.webhookInfoCache.set(webhookUrl, webhookInfo)
+      }
+    }
+
+    if (!webhookInfo?.guildId) {
+      return null
+    }
+
+    return `https://discord.com/channels/${webhookInfo.guildId}/${channelId}/${messageId}`
+  }
+
+  getExecuteUrl(webhookUrl) {
+    // wait=true makes Discord return the created message so its ID can be stored
+    const url = new URL(webhookUrl)
+    url.searchParams.set("wait", "true")
+    return url.toString()
+  }
+
+  getMessageUrl(webhookUrl, messageId) {
+    // Keep the query string (e.g. thread_id) when addressing an existing message
+    const url = new URL(webhookUrl)
+    url.pathname = `${url.pathname.replace(/\/$/, "")}/messages/${messageId}`
+    return url.toString()
   }
 
   async uploadAvatarToDiscord(avatarPath, webhookUrl) {
@@ -125,16 +583,117 @@ class DiscordForwarder {
     }
   }
 
-  async handleRateLimit() {
+  runInWebhookLane(webhookUrl, task) {
+    const key = this.getWebhookKey(webhookUrl)
+    const previous = this.webhookLanes.get(key) || Promise.resolve()
+
+    const run = previous.then(task, task)
+    const tail = run.catch(() => {})
+    this.webhookLanes.set(key, tail)
+
+    // Drop the lane once it is idle so the map doesn't grow with every webhook ever used
+    tail.then(() => {
+      if (this.webhookLanes.get(key) === tail) {
+        this.webhookLanes.delete(key)
+      }
+    })
+
+    return run
+  }
+
+  async request(webhookUrl, buildRequest) {
+    const key = this.getWebhookKey(webhookUrl)
+
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForRateLimit(key)
+
+      const config = buildRequest()
+      const endTimer = this.metrics?.discordSeconds.startTimer({ method: (config.method || "get").toUpperCase() })
+      try {
+        const response = await axios(config)
+        this.updateRateLimit(key, response.headers)
+        return response
+      } catch (error) {
+        if (error.response?.status !== 429) {
+          throw error
+        }
+
+        const retryAfter = this.handleRateLimitResponse(key, error.response)
+        if (attempt >= this.maxRetries || retryAfter > this.maxInlineRateLimitWait) {
+          throw error
+        }
+      } finally {
+        endTimer?.()
+      }
+    }
+  }
+
+  async waitForRateLimit(key) {
     const now = Date.now()
-    const timeSinceLastRequest = now - this.lastRequestTime
+    const bucket = this.buckets.get(this.webhookBuckets.get(key) || key)
+
+    let waitUntil = this.globalResetAt
+    if (bucket && bucket.remaining <= 0) {
+      waitUntil = Math.max(waitUntil, bucket.resetAt)
+    }
 
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      const waitTime = this.rateLimitDelay - timeSinceLastRequest
-      await new Promise((resolve) => setTimeout(resolve, waitTime))
+    if (waitUntil > now) {
+      console.log(`⏳ Waiting ${waitUntil - now}ms for Discord rate limit`)
+      await new Promise((resolve) => setTimeout(resolve, waitUntil - now))
     }
+  }
+
+  updateRateLimit(key, headers = {}) {
+    const remaining = Number.parseInt(headers["x-ratelimit-remaining"])
+    const resetAfter = Number.parseFloat(headers["x-ratelimit-reset-after"])
+    if (Number.isNaN(remaining) || Number.isNaN(resetAfter)) {
+      return
+    }
+
+    const bucketId = this.getBucketId(key, headers)
+    this.webhookBuckets.set(key, bucketId)
+    this.buckets.set(bucketId, {
+      remaining,
+      resetAt: Date.now() + Math.ceil(resetAfter * 1000),
+    })
+  }
+
+  handleRateLimitResponse(key, response) {
+    const headers = response.headers || {}
+    const data = response.data || {}
+    const retryAfterSeconds = Number.parseFloat(data.retry_after ?? headers["retry-after"])
+    const retryAfter = Number.isNaN(retryAfterSeconds) ? 1000 : Math.ceil(retryAfterSeconds * 1000)
+    const resetAt = Date.now() + retryAfter
+
+    if (data.global || headers["x-ratelimit-global"] === "true") {
+      this.metrics?.rateLimited.inc({ scope: "global" })
+      console.log(`🚦 Discord global rate limit hit, pausing all webhooks for ${retryAfter}ms`)
+      this.globalResetAt = Math.max(this.globalResetAt, resetAt)
+    } else {
+      this.metrics?.rateLimited.inc({ scope: "webhook" })
+      console.log(`🚦 Discord rate limit hit, retrying in ${retryAfter}ms`)
+      const bucketId = headers["x-ratelimit-bucket"] ? this.getBucketId(key, headers) : this.webhookBuckets.get(key) || key
+      this.webhookBuckets.set(key, bucketId)
+      this.buckets.set(bucketId, { remaining: 0, resetAt })
+    }
+
+    return retryAfter
+  }
 
-    this.lastRequestTime = Date.now()
+  getBucketId(key, headers) {
+    // Discord's bucket hash is the same for every webhook, the limit itself applies per webhook
+    const hash = headers["x-ratelimit-bucket"]
+    return hash ? `${hash}:${key}` : key
+  }
+
+  getWebhookKey(webhookUrl) {
+    // Query parameters such as thread_id don't change the webhook's rate limit
+    try {
+      const url = new URL(webhookUrl)
+      return `${url.origin}${url.pathname}`
+    } catch {
+      return webhookUrl
+    }
   }
 
   async cleanupTempFiles(messageData) {
@@ -212,27 +771,6 @@ class DiscordForwarder {
     }
   }
 
-  async retryRequest(requestFn, maxRetries = this.maxRetries) {
-    let lastError = null
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        return await requestFn()
-      } catch (error) {
-        lastError = error
-        console.log(`⚠️ Request attempt ${attempt} failed: ${error.message}`)
-
-        if (attempt < maxRetries) {
-          const delay = this.retryDelay * attempt // Exponential backoff
-          console.log(`🔄 Retrying in ${delay}ms...`)
-          await new Promise((resolve) => setTimeout(resolve, delay))
-        }
-      }
-    }
-
-    throw lastError
-  }
-
   async testWebhook(webhookUrl) {
     try {
       // Get default profile picture path
@@ -262,20 +800,21 @@ class DiscordForwarder {
     return webhookRegex.test(webhookUrl)
   }
 
-  formatMessage(content, maxLength = 2000) {
-    if (!content) return ""
+  splitContent(content, maxLength = this.maxContentLength) {
+    return MessageSplitter.split(content, maxLength)
+  }
 
-    if (content.length <= maxLength) {
-      return content
+  truncateContent(content, maxLength = this.maxContentLength) {
+    if (!content || content.length <= maxLength) {
+      return content || ""
     }
 
-    // Truncate and add indicator
     return content.substring(0, maxLength - 20) + "\n\n[Message truncated]"
   }
 
   async getWebhookInfo(webhookUrl) {
     try {
-      const response = await axios.get(webhookUrl)
+      const response = await this.request(webhookUrl, () => ({ method: "get", url: webhookUrl, timeout: 30000 }))
       return {
         id: response.data.id,
         name: response.data.name,
@@ -299,14 +838,18 @@ class DiscordForwarder {
         username: process.env.BDN || "Test Bot",
         content: process.env.SW || "BOT Started",
         avatar_url: ppUrl, // Use direct URL for avatar
+        allowed_mentions: { parse: [] },
       }
 
-      const response = await axios.post(webhookUrl, testPayload, {
+      const response = await this.request(webhookUrl, () => ({
+        method: "post",
+        url: webhookUrl,
+        data: testPayload,
         headers: {
           "Content-Type": "application/json",
         },
         timeout: 30000,
-      })
+      }))
 
       if (response.status !== 204 && response.status !== 200) {
         throw new Error(`Discord API returned status ${response.status}`)
@@ -37,6 +37,35 @@ class ExpressServer {
     }
   }
 
+  mountAdminApi(adminApi) {
+    if (!adminApi.isEnabled()) {
+      console.log("ℹ️ Admin API disabled, set ADMIN_API_TOKEN to enable it")
+      return false
+    }
+
+    this.app.use("/api", adminApi.router())
+    console.log(`🛠️ Admin API available at http://${this.host}:${this.port}/api/routes`)
+    console.log(`🗄️ Message archive available at http://${this.host}:${this.port}/api/archive`)
+    return true
+  }
+
+  mountMetrics(metrics) {
+    // Left unauthenticated like /health, so Prometheus can scrape it without credentials
+    this.app.get("/metrics", (req, res, next) => metrics.handleRequest(req, res).catch(next))
+    console.log(`📈 Prometheus metrics available at http://${this.host}:${this.port}/metrics`)
+  }
+
+  mountDashboard(dashboard) {
+    if (!dashboard.isEnabled()) {
+      console.log("ℹ️ Dashboard disabled, set ADMIN_PASSWORD to enable it")
+      return false
+    }
+
+    this.app.use("/admin", dashboard.router())
+    console.log(`📊 Dashboard available at http://${this.host}:${this.port}/admin/`)
+    return true
+  }
+
   async stop() {
     if (this.server) {
       this.server.close()
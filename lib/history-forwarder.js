@@ -0,0 +1,128 @@
+const RoutingResolver = require("./routing-resolver")
+
+class HistoryForwarder {
+  constructor(database, telegramBot) {
+    this.database = database
+    this.telegramBot = telegramBot
+  }
+
+  async forward(groupId, options = {}) {
+    const {
+      topicId = null,
+      routingId = null,
+      minId = 0,
+      maxId = 0,
+      fromDate = null,
+      toDate = null,
+      limit = undefined,
+      latest = false,
+      onProgress = async () => {},
+    } = options
+
+    const client = this.telegramBot.client
+    const chat = await this.getChat(groupId)
+    const groupRoutings = await this.telegramBot.routes.getGroupRoutings(groupId)
+    const stats = { read: 0, forwarded: 0, skipped: 0, lastMessageId: minId }
+
+    // Oldest first, album parts are collected and forwarded together like live ones
+    const iterator = latest
+      ? await this.readLatest(chat, { minId, fromDate, topicId, limit })
+      : client.iterMessages(chat, {
+          reverse: true,
+          minId,
+          maxId,
+          offsetDate: fromDate ? Math.floor(fromDate.getTime() / 1000) : undefined,
+          replyTo: topicId || undefined,
+          limit,
+        })
+
+    let album = []
+    const flushAlbum = async () => {
+      if (album.length > 0) {
+        await this.forwardMessages(album, groupId, topicId, chat, groupRoutings, routingId, stats)
+        await onProgress(stats)
+        album = []
+      }
+    }
+
+    for await (const message of iterator) {
+      if (toDate && message.date * 1000 >= toDate.getTime()) {
+        break
+      }
+      stats.read++
+      // Counted apart from received, so live traffic and replayed history can be told apart
+      this.telegramBot.metrics?.historyRead.inc()
+
+      if (album.length > 0 && String(album[0].groupedId) !== String(message.groupedId)) {
+        await flushAlbum()
+      }
+      if (message.groupedId) {
+        album.push(message)
+        continue
+      }
+
+      await this.forwardMessages([message], groupId, topicId, chat, groupRoutings, routingId, stats)
+      await onProgress(stats)
+    }
+    await flushAlbum()
+
+    return stats
+  }
+
+  async readLatest(chat, { minId, fromDate, topicId, limit }) {
+    // The newest messages, read newest first and returned oldest first
+    const messages = []
+    for await (const message of this.telegramBot.client.iterMessages(chat, {
+      minId,
+      replyTo: topicId || undefined,
+      limit,
+    })) {
+      if (fromDate && message.date * 1000 < fromDate.getTime()) {
+        break
+      }
+      messages.push(message)
+    }
+    return messages.reverse()
+  }
+
+  async forwardMessages(messages, groupId, topicId, chat, groupRoutings, routingId, stats) {
+    const lastMessage = messages[messages.length - 1]
+    const messageTopicId = topicId || this.telegramBot.getMessageTopicId(messages[0], chat.forum)
+
+    let { routings } = RoutingResolver.resolve(groupRoutings, messageTopicId)
+    if (routingId) {
+      routings = routings.filter((routing) => routing.id === routingId)
+    }
+
+    // Destinations that already have a copy, or one waiting in the queue, are left alone
+    const bridgedIds = await this.database.getBridgedRoutingIds(groupId, messages.map((message) => message.id))
+    if (!bridgedIds) {
+      throw new Error(`Could not check which routes already have message ${messages[0].id}`)
+    }
+    const bridged = new Set(bridgedIds.map(Number))
+    const pending = routings.filter((routing) => !bridged.has(routing.id))
+
+    if (messages[0].className === "MessageService" || pending.length === 0) {
+      stats.skipped += messages.length
+    } else {
+      console.log(`⏪ Forwarding message ${messages[0].id} (${new Date(messages[0].date * 1000).toISOString()})`)
+      await this.telegramBot.deliverMessages(messages, groupId, messageTopicId, pending)
+      stats.forwarded += messages.length
+    }
+
+    stats.lastMessageId = Math.max(stats.lastMessageId, lastMessage.id)
+  }
+
+  async getChat(groupId) {
+    const client = this.telegramBot.client
+    try {
+      return await client.getEntity(groupId)
+    } catch (error) {
+      // Entities are only known once they were seen, loading the dialogs makes them resolvable
+      await client.getDialogs({})
+      return await client.getEntity(groupId)
+    }
+  }
+}
+
+module.exports = HistoryForwarder
@@ -0,0 +1,170 @@
+class MarkdownConverter {
+  static toDiscord(text, entities = [], options = {}) {
+    if (!text) return ""
+
+    // Telegram entity offsets count UTF-16 code units, the same unit JS strings index by,
+    // so offsets can be used with slice() directly without breaking surrogate pairs
+    const sorted = MarkdownConverter.splitOverlaps((entities || []).filter((entity) => entity.length > 0))
+
+    return MarkdownConverter.renderRange(text, 0, text.length, sorted, options)
+  }
+
+  static splitOverlaps(entities) {
+    // Markdown can only nest, so an entity that runs past the end of an earlier one is closed there
+    // and reopened after it, e.g. bold 0-4 with italic 2-6 becomes italic 2-4 and 4-6
+    const byPosition = (a, b) => a.offset - b.offset || b.length - a.length
+    const pending = [...entities].sort(byPosition)
+    const result = []
+
+    while (pending.length > 0) {
+      const entity = pending.shift()
+      const end = entity.offset + entity.length
+      const cut = Math.min(
+        ...result
+          .filter((other) => other.offset <= entity.offset && other.offset + other.length > entity.offset)
+          .map((other) => other.offset + other.length)
+          .filter((otherEnd) => otherEnd < end),
+      )
+
+      if (cut === Infinity) {
+        result.push(entity)
+        continue
+      }
+
+      result.push({ ...entity, length: cut - entity.offset })
+      pending.push({ ...entity, offset: cut, length: end - cut })
+      pending.sort(byPosition)
+    }
+
+    return result.sort(byPosition)
+  }
+
+  static renderRange(text, start, end, entities, options = {}) {
+    let output = ""
+    let cursor = start
+    let i = 0
+
+    while (i < entities.length) {
+      const entity = entities[i]
+      const entityStart = Math.max(entity.offset, cursor)
+      const entityEnd = Math.min(entity.offset + entity.length, end)
+
+      // Entities nested inside this one are rendered recursively
+      let j = i + 1
+      const children = []
+      while (j < entities.length && entities[j].offset < entityEnd) {
+        children.push(entities[j])
+        j++
+      }
+
+      if (entityStart < entityEnd) {
+        output += MarkdownConverter.escapeText(text.slice(cursor, entityStart), MarkdownConverter.isLineStart(text, cursor))
+        output = MarkdownConverter.join(
+          output,
+          MarkdownConverter.renderEntity(text, entity, entityStart, entityEnd, children, options),
+        )
+        cursor = entityEnd
+      }
+
+      i = j
+    }
+
+    output += MarkdownConverter.escapeText(text.slice(cursor, end), MarkdownConverter.isLineStart(text, cursor))
+    return output
+  }
+
+  static renderEntity(text, entity, start, end, children, options = {}) {
+    const raw = text.slice(start, end)
+    const inner = () => MarkdownConverter.renderRange(text, start, end, children, options)
+
+    switch (entity.className) {
+      case "MessageEntityBold":
+        return MarkdownConverter.wrap(inner(), "**")
+      case "MessageEntityItalic":
+        return MarkdownConverter.wrap(inner(), "*")
+      case "MessageEntityUnderline":
+        return MarkdownConverter.wrap(inner(), "__")
+      case "MessageEntityStrike":
+        return MarkdownConverter.wrap(inner(), "~~")
+      case "MessageEntitySpoiler":
+        return MarkdownConverter.wrap(inner(), "||")
+      case "MessageEntityCode":
+        // Code spans are literal, a backtick inside needs a longer fence
+        return raw.includes("`") ? `\`\` ${raw} \`\`` : `\`${raw}\``
+      case "MessageEntityPre": {
+        const language = (entity.language || "").replace(/[^\w+#-]/g, "")
+        const body = raw.replace(/```/g, "`\u200b``")
+        return MarkdownConverter.asBlock(text, start, end, `\`\`\`${language}\n${body.replace(/\n$/, "")}\n\`\`\``)
+      }
+      case "MessageEntityBlockquote": {
+        const quoted = inner()
+          .replace(/\n+$/, "")
+          .split("\n")
+          .map((line) => `> ${line}`)
+          .join("\n")
+        return MarkdownConverter.asBlock(text, start, end, quoted)
+      }
+      case "MessageEntityTextUrl":
+        return `[${inner()}](${MarkdownConverter.escapeUrl(entity.url)})`
+      case "MessageEntityMention":
+        // Mapped handles become real Discord mentions, the rest stay plain text
+        return options.mentions?.get(raw.replace(/^@/, "").toLowerCase()) || inner()
+      case "MessageEntityMentionName":
+        return options.userMentions?.get(String(entity.userId)) || inner()
+      case "MessageEntityUrl":
+      case "MessageEntityEmail":
+        // Escaping would break the link Discord auto-detects
+        return raw
+      default:
+        return inner()
+    }
+  }
+
+  static join(before, after) {
+    // A closing marker directly followed by an opening one, e.g. ** and *, would be read as one run
+    return /[*_~|]$/.test(before) && /^[*_~|]/.test(after) ? `${before}\u200b${after}` : before + after
+  }
+
+  static asBlock(text, start, end, block) {
+    // Code fences and quotes must sit on their own lines
+    const before = MarkdownConverter.isLineStart(text, start) ? "" : "\n"
+    const after = end >= text.length || text[end] === "\n" ? "" : "\n"
+    return `${before}${block}${after}`
+  }
+
+  static wrap(content, marker) {
+    // Discord ignores markers next to whitespace, so keep the padding outside them
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/)
+    if (!match[2]) return content
+
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`
+  }
+
+  static escapeText(text, atLineStart = true) {
+    if (!text) return ""
+
+    return text
+      .replace(/[\\*_~`|[\]]/g, "\\$&")
+      // Typed mention syntax and mass mentions must never turn into pings
+      .replace(/<(?=[@#])/g, "\\<")
+      .replace(/@(everyone|here)/g, "@\u200b$1")
+      .split("\n")
+      .map((line, index) => {
+        // Quotes, headings and list markers only mean something at the start of a line
+        if (index === 0 && !atLineStart) return line
+        return line.replace(/^(\s*)([>#-])/, "$1\\$2")
+      })
+      .join("\n")
+  }
+
+  static escapeUrl(url) {
+    // encodeURIComponent leaves parentheses alone, which would close the masked link early
+    return (url || "").replace(/[()\s]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`)
+  }
+
+  static isLineStart(text, index) {
+    return index === 0 || text[index - 1] === "\n"
+  }
+}
+
+module.exports = MarkdownConverter
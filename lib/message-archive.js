@@ -0,0 +1,251 @@
+const express = require("express")
+const Utils = require("./utils")
+
+const STATUSES = ["queued", "retrying", "forwarded", "failed"]
+const FORMATS = { json: "application/json", csv: "text/csv", html: "text/html" }
+const CSV_COLUMNS = [
+  "id",
+  "routing_id",
+  "group_id",
+  "topic_id",
+  "telegram_message_id",
+  "sender_id",
+  "sender_name",
+  "sender_username",
+  "content",
+  "media_files",
+  "discord_message_id",
+  "status",
+  "last_error",
+  "sent_at",
+  "forwarded_at",
+]
+const EXPORT_BATCH_SIZE = 1000
+
+class MessageArchive {
+  constructor(database) {
+    this.database = database
+  }
+
+  router() {
+    const router = express.Router()
+    // Express 4 does not catch rejected handlers itself
+    const handle = (handler) => (req, res, next) => handler(req, res).catch(next)
+
+    router.get("/", handle((req, res) => this.search(req, res)))
+    router.get("/export", handle((req, res) => this.export(req, res)))
+
+    return router
+  }
+
+  async search(req, res) {
+    const filters = this.parseFilters(req.query, res)
+    if (!filters) return
+
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 500)
+    const offset = Math.max(Number.parseInt(req.query.offset) || 0, 0)
+    const rows = await this.database.searchArchive(filters, limit, offset)
+    const total = await this.database.countArchive(filters)
+    if (rows === null || total === null) {
+      return res.status(500).json({ error: "Could not search the archive" })
+    }
+
+    res.json({ total, limit, offset, messages: rows.map((row) => this.toJson(row)) })
+  }
+
+  async export(req, res) {
+    const format = String(req.query.format || "json").toLowerCase()
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(FORMATS).join(", ")}` })
+    }
+    const filters = this.parseFilters(req.query, res)
+    if (!filters) return
+
+    // Read in batches, oldest first so the export reads like the chat
+    const messages = []
+    while (true) {
+      const rows = await this.database.searchArchive(filters, EXPORT_BATCH_SIZE, messages.length, true)
+      if (rows === null) {
+        return res.status(500).json({ error: "Could not read the archive" })
+      }
+      messages.push(...rows.map((row) => this.toJson(row)))
+      if (rows.length < EXPORT_BATCH_SIZE) break
+    }
+
+    console.log(`🗄️ Exported ${messages.length} archived message(s) as ${format}`)
+    res.type(FORMATS[format])
+    res.attachment(`${this.getExportName(req.query)}.${format}`)
+
+    switch (format) {
+      case "csv":
+        return res.send(Utils.toCsv(messages.map((message) => this.toCsvRow(message)), CSV_COLUMNS))
+      case "html":
+        return res.send(this.renderHtml(messages, req.query))
+      default:
+        return res.send(JSON.stringify(messages, null, 2))
+    }
+  }
+
+  parseFilters(query, res) {
+    const errors = []
+    const value = (name) => (typeof query[name] === "string" && query[name].trim() !== "" ? query[name].trim() : null)
+    const integer = (name) => {
+      const text = value(name)
+      if (text === null) return null
+      if (!/^-?\d+$/.test(text)) {
+        errors.push(`${name} must be a number`)
+        return null
+      }
+      return Number(text)
+    }
+    const date = (name, endOfDay = false) => {
+      const text = value(name)
+      if (text === null) return null
+      const parsed = new Date(text)
+      if (Number.isNaN(parsed.getTime())) {
+        errors.push(`${name} must be a date (YYYY-MM-DD or ISO 8601)`)
+        return null
+      }
+      // A date without time covers the whole day
+      if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        parsed.setUTCDate(parsed.getUTCDate() + 1)
+      }
+      return parsed
+    }
+
+    const filters = {
+      routingId: integer("route"),
+      groupId: integer("group"),
+      topicId: integer("topic"),
+      sender: value("sender"),
+      text: value("text"),
+      status: value("status"),
+      from: date("from"),
+      to: date("to", true),
+    }
+
+    if (filters.status !== null && !STATUSES.includes(filters.status)) {
+      errors.push(`status must be one of ${STATUSES.join(", ")}`)
+    }
+
+    if (errors.length > 0) {
+      res.status(400).json({ error: "Invalid filter", details: errors })
+      return null
+    }
+    return filters
+  }
+
+  toJson(row) {
+    let mediaFiles = []
+    try {
+      mediaFiles = JSON.parse(row.Media_Files || "[]")
+    } catch (error) {
+      // Left empty, the rest of the record is still useful
+    }
+
+    return {
+      id: row.id,
+      routingId: row.Routing_ID,
+      groupId: Number(row.ID_Groups),
+      topicId: row.ID_Topic,
+      telegramMessageId: Number(row.TG_Message_ID),
+      senderId: row.Sender_ID,
+      senderName: row.Sender_Name,
+      senderUsername: row.Sender_Username,
+      content: row.Content,
+      mediaFiles,
+      discordMessageId: row.DC_Message_ID,
+      status: row.Status,
+      lastError: row.Last_Error,
+      sentAt: row.Sent_At,
+      forwardedAt: row.Forwarded_At,
+      createdAt: row.created_at,
+    }
+  }
+
+  toCsvRow(message) {
+    return {
+      id: message.id,
+      routing_id: message.routingId,
+      group_id: message.groupId,
+      topic_id: message.topicId,
+      telegram_message_id: message.telegramMessageId,
+      sender_id: message.senderId,
+      sender_name: message.senderName,
+      sender_username: message.senderUsername,
+      content: message.content,
+      media_files: message.mediaFiles.join("; "),
+      discord_message_id: message.discordMessageId,
+      status: message.status,
+      last_error: message.lastError,
+      sent_at: message.sentAt?.toISOString(),
+      forwarded_at: message.forwardedAt?.toISOString(),
+    }
+  }
+
+  getExportName(query) {
+    const parts = ["archive"]
+    if (query.route) parts.push(`route-${query.route}`)
+    if (query.from) parts.push(`from-${query.from}`)
+    if (query.to) parts.push(`to-${query.to}`)
+    return parts.join("_").replace(/[^\w.-]+/g, "-")
+  }
+
+  renderHtml(messages, query) {
+    const escape = (text) =>
+      String(text ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+    const range = [query.from && `from ${query.from}`, query.to && `to ${query.to}`].filter(Boolean).join(" ")
+    const title = `Message archive${query.route ? ` - route #${query.route}` : ""}${range ? ` ${range}` : ""}`
+
+    const articles = messages.map((message) => {
+      const username = message.senderUsername ? ` <span class="muted">@${escape(message.senderUsername)}</span>` : ""
+      const files =
+        message.mediaFiles.length > 0
+          ? `<ul class="files">${message.mediaFiles.map((file) => `<li>📎 ${escape(file)}</li>`).join("")}</ul>`
+          : ""
+      const error = message.lastError ? `<p class="error">${escape(message.lastError)}</p>` : ""
+      const origin = [
+        `group ${message.groupId}`,
+        message.topicId ? `topic ${message.topicId}` : null,
+        `message ${message.telegramMessageId}`,
+        `route #${message.routingId}`,
+        message.discordMessageId ? `Discord message ${message.discordMessageId}` : null,
+      ]
+
+      return `<article class="${escape(message.status)}">
+  <header><strong>${escape(message.senderName || "Unknown")}</strong>${username}
+    <time>${escape(message.sentAt?.toISOString() || "")}</time> <span class="status">${escape(message.status)}</span></header>
+  <div class="content">${escape(message.content)}</div>${files}${error}
+  <footer class="muted">${escape(origin.filter(Boolean).join(" · "))}</footer>
+</article>`
+    })
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escape(title)}</title>
+<style>
+  body { margin: 24px auto; max-width: 860px; padding: 0 16px; font: 14px/1.5 system-ui, sans-serif; color: #1e1f22; }
+  article { border-bottom: 1px solid #ddd; padding: 12px 0; }
+  header { margin-bottom: 4px; }
+  time, .muted { color: #6d6f78; }
+  .content { white-space: pre-wrap; word-break: break-word; }
+  .files { margin: 6px 0; padding-left: 0; list-style: none; }
+  .status { font-size: 12px; text-transform: uppercase; color: #23a55a; }
+  .failed .status, .error { color: #d83c3e; }
+  .queued .status, .retrying .status { color: #c27c0e; }
+  footer { font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p class="muted">${messages.length} message(s), exported ${new Date().toISOString()}</p>
+${articles.join("\n")}
+</body>
+</html>
+`
+  }
+}
+
+module.exports = MessageArchive
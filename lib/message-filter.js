@@ -0,0 +1,101 @@
+class MessageFilter {
+  static evaluate(rules, context) {
+    // Exclude rules veto on the first match
+    for (const rule of rules.filter((r) => r.Action === "exclude")) {
+      if (MessageFilter.matches(rule, context)) {
+        return { allowed: false, rule, reason: `matched exclude ${MessageFilter.describe(rule)}` }
+      }
+    }
+
+    // Include rules of one type form an allow list, at least one of them must match
+    const includeTypes = [...new Set(rules.filter((r) => r.Action === "include").map((r) => MessageFilter.group(r)))]
+    for (const type of includeTypes) {
+      const includes = rules.filter((r) => r.Action === "include" && MessageFilter.group(r) === type)
+      if (!includes.some((rule) => MessageFilter.matches(rule, context))) {
+        return {
+          allowed: false,
+          rule: includes[0],
+          reason: `matched none of the include ${type} rule(s) ${includes.map((r) => `#${r.id}`).join(", ")}`,
+        }
+      }
+    }
+
+    return { allowed: true, rule: null, reason: null }
+  }
+
+  static matches(rule, context) {
+    switch (rule.Rule_Type) {
+      case "keyword":
+        return (context.text || "").toLowerCase().includes((rule.Value || "").toLowerCase())
+      case "regex":
+        return MessageFilter.compileRegex(rule)?.test(context.text || "") || false
+      case "sender": {
+        const value = String(rule.Value || "")
+          .trim()
+          .replace(/^@/, "")
+          .toLowerCase()
+        return (
+          value === String(context.senderId) || (!!context.senderUsername && value === context.senderUsername.toLowerCase())
+        )
+      }
+      case "bot":
+        return !!context.isBot
+      case "media": {
+        // An album matches when any of its parts has the media type
+        const types = String(rule.Value || "")
+          .split(",")
+          .map((type) => type.trim().toLowerCase())
+        return context.mediaTypes.some((type) => types.includes(type))
+      }
+      default:
+        return false
+    }
+  }
+
+  static compileRegex(rule) {
+    // Accepts /pattern/flags or a bare pattern, which is matched case-insensitively
+    const literal = String(rule.Value || "").match(/^\/(.*)\/([a-z]*)$/s)
+    try {
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(rule.Value, "i")
+    } catch (error) {
+      console.log(`   ⚠️ Invalid regex in filter rule #${rule.id}: ${error.message}`)
+      return null
+    }
+  }
+
+  static group(rule) {
+    // Keyword and regex rules both look at the text and form one allow list
+    return rule.Rule_Type === "regex" ? "keyword" : rule.Rule_Type
+  }
+
+  static describe(rule) {
+    return rule.Rule_Type === "bot" ? `bot rule #${rule.id}` : `${rule.Rule_Type} rule #${rule.id} "${rule.Value}"`
+  }
+
+  static getMediaType(message) {
+    const media = message.media
+    if (!media || media.className === "MessageMediaWebPage") {
+      return "text"
+    }
+
+    if (media.className === "MessageMediaPhoto") {
+      return "photo"
+    }
+
+    if (media.className === "MessageMediaDocument") {
+      const attributes = media.document?.attributes || []
+      const has = (className) => attributes.find((attr) => attr.className === className)
+
+      if (has("DocumentAttributeSticker")) return "sticker"
+      if (has("DocumentAttributeAnimated")) return "gif"
+      if (has("DocumentAttributeVideo")) return "video"
+      if (has("DocumentAttributeAudio")) return has("DocumentAttributeAudio").voice ? "voice" : "audio"
+      return "document"
+    }
+
+    // MessageMediaPoll -> poll, MessageMediaGeo -> geo, ...
+    return media.className.replace(/^MessageMedia/, "").toLowerCase()
+  }
+}
+
+module.exports = MessageFilter
@@ -0,0 +1,151 @@
+// Longest first, so ** is not read as two italic markers
+const MARKERS = ["**", "__", "~~", "||", "*"]
+
+class MessageSplitter {
+  static split(text, maxLength = 2000) {
+    const chunks = []
+    let remaining = text || ""
+
+    while (remaining.length > maxLength) {
+      const cut = MessageSplitter.findCut(remaining, maxLength)
+
+      let chunk = remaining.slice(0, cut.end).replace(/\s+$/, "")
+      remaining = remaining.slice(cut.next)
+
+      // A code block too long for one message is closed here and reopened in the next chunk
+      if (cut.fence !== null) {
+        chunk += "\n```"
+        remaining = `${cut.fence}\n${remaining}`
+      } else if (cut.open.length > 0) {
+        // Same for a markdown span, its markers are closed here and reopened in the next chunk
+        chunk += [...cut.open].reverse().join("")
+        remaining = cut.open.join("") + remaining.replace(/^\s+/, "")
+      } else {
+        remaining = remaining.replace(/^\n+/, "")
+      }
+
+      if (chunk.trim()) {
+        chunks.push(chunk)
+      }
+    }
+
+    if (remaining.trim()) {
+      chunks.push(remaining)
+    }
+
+    return chunks
+  }
+
+  static findCut(text, maxLength) {
+    const separators = ["\n\n", "\n", " "]
+
+    // Prefer paragraph, then line, then word boundaries that keep chunks reasonably full,
+    // and only cut where no code block or markdown span is left open
+    for (const minLength of [Math.floor(maxLength / 2), 1]) {
+      for (const separator of separators) {
+        let index = text.lastIndexOf(separator, maxLength - separator.length)
+        while (index >= minLength) {
+          const state = MessageSplitter.scan(text.slice(0, index))
+          if (state.fence === null && state.balanced) {
+            return { end: index, next: index + separator.length, fence: null, open: [] }
+          }
+          index = text.lastIndexOf(separator, index - 1)
+        }
+      }
+
+      // A markdown span alone exceeds the limit, split it between words and leave room to close its markers
+      let index = MessageSplitter.lastWhitespace(text, maxLength - 1)
+      while (index >= minLength) {
+        const state = MessageSplitter.scan(text.slice(0, index))
+        const markers = state.open.join("")
+        // The reopened markers must be shorter than the cut text, otherwise the next chunk never shrinks
+        if (state.fence === null && !state.inlineCode && index + markers.length <= maxLength && index > markers.length) {
+          return { end: index, next: index + 1, fence: null, open: state.open }
+        }
+        index = MessageSplitter.lastWhitespace(text, index - 1)
+      }
+    }
+
+    // The code block alone exceeds the limit, split it between lines and leave room for the closing fence
+    const fenceBudget = maxLength - 4
+    let index = text.lastIndexOf("\n", fenceBudget - 1)
+    while (index > 0) {
+      const state = MessageSplitter.scan(text.slice(0, index))
+      const fenceLineEnd = text.indexOf("\n", text.lastIndexOf("```", index))
+      if (state.fence !== null && fenceLineEnd < index) {
+        return { end: index, next: index + 1, fence: state.fence, open: [] }
+      }
+      index = text.lastIndexOf("\n", index - 1)
+    }
+
+    // No usable boundary at all, cut hard without splitting a surrogate pair, an escape or a marker
+    let end = maxLength - 4
+    while (true) {
+      if (/[\uD800-\uDBFF]/.test(text[end - 1]) || text[end - 1] === "\\") {
+        end--
+      }
+      while (end > 1 && /[*_~|]/.test(text[end - 1]) && text[end] === text[end - 1]) {
+        end--
+      }
+
+      const state = MessageSplitter.scan(text.slice(0, end))
+      const open = state.fence === null && !state.inlineCode ? state.open : []
+      if (end + open.join("").length <= maxLength || end <= 1) {
+        return { end, next: end, fence: state.fence, open }
+      }
+      end = Math.min(end - 1, maxLength - open.join("").length)
+    }
+  }
+
+  static lastWhitespace(text, from) {
+    for (let index = Math.min(from, text.length - 1); index >= 0; index--) {
+      if (/\s/.test(text[index])) return index
+    }
+    return -1
+  }
+
+  static scan(text) {
+    // Odd segments between ``` markers are code
+    const segments = text.split("```")
+    let fence = null
+    if (segments.length % 2 === 0) {
+      const language = segments[segments.length - 1].match(/^([\w+#-]*)\n/)
+      fence = "```" + (language ? language[1] : "")
+    }
+
+    const prose = segments.filter((segment, index) => index % 2 === 0).join(" ")
+
+    // Spans still open at the end of the text, in the order they were opened
+    const open = []
+    let inlineCode = false
+    for (let i = 0; i < prose.length; i++) {
+      if (inlineCode) {
+        inlineCode = prose[i] !== "`"
+        continue
+      }
+      if (prose[i] === "\\") {
+        i++
+        continue
+      }
+      if (prose[i] === "`") {
+        inlineCode = true
+        continue
+      }
+
+      const marker = MARKERS.find((candidate) => prose.startsWith(candidate, i))
+      if (!marker) continue
+
+      const index = open.lastIndexOf(marker)
+      if (index === -1) {
+        open.push(marker)
+      } else {
+        open.splice(index, 1)
+      }
+      i += marker.length - 1
+    }
+
+    return { fence, balanced: open.length === 0 && !inlineCode, open, inlineCode }
+  }
+}
+
+module.exports = MessageSplitter
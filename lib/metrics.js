@@ -0,0 +1,186 @@
+// Prometheus text exposition format, version 0.0.4
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8"
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => {
+    const escaped = String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')
+    return `${key}="${escaped}"`
+  })
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : ""
+}
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf"
+  if (value === -Infinity) return "-Inf"
+  return String(value)
+}
+
+class Metric {
+  constructor(name, help, type, labelNames = []) {
+    this.name = name
+    this.help = help
+    this.type = type
+    this.labelNames = labelNames
+    this.values = new Map() // label key -> { labels, ...state }
+  }
+
+  getEntry(labels, create) {
+    // Unknown labels are dropped and missing ones left empty, so every sample has the same label set
+    const picked = Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? ""]))
+    const key = formatLabels(picked)
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: picked, ...create() })
+    }
+    return this.values.get(key)
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, "counter", labelNames)
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getEntry(labels, () => ({ value: 0 })).value += value
+  }
+
+  async collect() {
+    // An unlabelled counter is reported from the start, labelled ones once they have a value
+    if (this.labelNames.length === 0 && this.values.size === 0) {
+      return [`${this.name} 0`]
+    }
+    return [...this.values.values()].map((entry) => `${this.name}${formatLabels(entry.labels)} ${entry.value}`)
+  }
+}
+
+class Gauge {
+  constructor(name, help, read) {
+    this.name = name
+    this.help = help
+    this.type = "gauge"
+    // Gauges describe current state, so they are read when scraped instead of being kept up to date
+    this.read = read
+  }
+
+  async collect() {
+    const value = await this.read()
+    if (value === null || value === undefined) {
+      return []
+    }
+    return [`${this.name} ${formatValue(Number(value))}`]
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets, labelNames) {
+    super(name, help, "histogram", labelNames)
+    this.buckets = [...buckets].sort((a, b) => a - b)
+  }
+
+  observe(labels, value) {
+    const entry = this.getEntry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }))
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++
+    })
+    entry.sum += value
+    entry.count++
+  }
+
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint()
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9)
+    }
+  }
+
+  async collect() {
+    const lines = []
+    for (const entry of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        const labels = formatLabels({ ...entry.labels, le: formatValue(bound) })
+        lines.push(`${this.name}_bucket${labels} ${entry.counts[index]}`)
+      })
+      lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${entry.count}`)
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`)
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`)
+    }
+    return lines
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.metrics = []
+
+    this.received = this.counter("tgdc_messages_received_total", "Telegram messages received")
+    this.historyRead = this.counter("tgdc_history_messages_read_total", "Messages read from history by catch-up")
+    this.unrouted = this.counter("tgdc_messages_unrouted_total", "Telegram messages without a matching route")
+    this.routed = this.counter("tgdc_messages_routed_total", "Messages passed on to a route after its filters", ["route"])
+    this.filtered = this.counter("tgdc_messages_filtered_total", "Messages skipped by a route's filters", ["route"])
+    this.forwarded = this.counter("tgdc_messages_forwarded_total", "Messages delivered to Discord", ["route"])
+    this.failed = this.counter("tgdc_messages_failed_total", "Messages that could not be delivered", ["route"])
+
+    this.downloadSeconds = this.histogram(
+      "tgdc_media_download_seconds",
+      "Time to download media from Telegram",
+      [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    )
+    this.watermarkSeconds = this.histogram(
+      "tgdc_watermark_seconds",
+      "Time to watermark an image",
+      [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    )
+    this.discordSeconds = this.histogram(
+      "tgdc_discord_request_seconds",
+      "Discord webhook request latency",
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      ["method"],
+    )
+
+    this.rateLimited = this.counter("tgdc_discord_rate_limited_total", "Discord 429 responses", ["scope"])
+    this.reconnects = this.counter("tgdc_telegram_reconnect_attempts_total", "Telegram reconnection attempts")
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames))
+  }
+
+  gauge(name, help, read) {
+    return this.register(new Gauge(name, help, read))
+  }
+
+  histogram(name, help, buckets, labelNames) {
+    return this.register(new Histogram(name, help, buckets, labelNames))
+  }
+
+  register(metric) {
+    if (this.metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`)
+    }
+    this.metrics.push(metric)
+    return metric
+  }
+
+  async render() {
+    const lines = []
+    for (const metric of this.metrics) {
+      let samples
+      try {
+        samples = await metric.collect()
+      } catch (error) {
+        // One broken gauge shouldn't fail the whole scrape
+        console.error(`Error collecting metric ${metric.name}:`, error.message)
+        continue
+      }
+
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...samples)
+    }
+    return lines.join("\n") + "\n"
+  }
+
+  async handleRequest(req, res) {
+    res.set("Content-Type", CONTENT_TYPE).send(await this.render())
+  }
+}
+
+module.exports = Metrics
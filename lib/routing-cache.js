@@ -0,0 +1,131 @@
+const RoutingResolver = require("./routing-resolver")
+
+class RoutingCache {
+  constructor(database) {
+    this.database = database
+    this.refreshInterval = (Number.parseInt(process.env.ROUTING_REFRESH_SECONDS) || 60) * 1000
+    this.checkInterval = (Number.parseInt(process.env.ROUTING_CHECK_SECONDS) || 2) * 1000
+    this.routings = []
+    this.byGroup = new Map()
+    this.filters = new Map()
+    this.transforms = new Map()
+    this.signature = null
+    this.version = null
+    this.refreshTimer = null
+    this.checkTimer = null
+    this.loading = null
+    this.rerun = false
+  }
+
+  async start() {
+    await this.reload()
+    console.log(`🗂️ Routing cache loaded (${this.routings.length} route(s), refreshed every ${this.refreshInterval / 1000}s)`)
+
+    // Changes made through the storage by another process raise the routing version, checked often and cheaply.
+    // The full reload catches whatever was changed in SQL directly
+    this.checkTimer = setInterval(() => this.check(), this.checkInterval)
+    this.refreshTimer = setInterval(() => this.reload(), this.refreshInterval)
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer)
+      this.refreshTimer = null
+    }
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer)
+      this.checkTimer = null
+    }
+  }
+
+  async check() {
+    const version = await this.database.getRoutingVersion()
+    if (version !== null && version !== this.version && !this.loading) {
+      await this.reload()
+    }
+  }
+
+  reload() {
+    // A reload asked for during a load runs once more afterwards, so it sees the latest change
+    if (this.loading) {
+      this.rerun = true
+      return this.loading
+    }
+
+    this.loading = (async () => {
+      try {
+        do {
+          this.rerun = false
+          await this.load()
+        } while (this.rerun)
+      } finally {
+        this.loading = null
+      }
+    })()
+
+    return this.loading
+  }
+
+  async load() {
+    // Read before the snapshot, a change made while loading leaves it behind and triggers the next check
+    const version = await this.database.getRoutingVersion()
+    const snapshot = await this.database.getRoutingSnapshot()
+    if (!snapshot) {
+      console.log(`⚠️ Could not refresh routes, forwarding with the ${this.routings.length} cached route(s)`)
+      return false
+    }
+
+    this.version = version
+    const signature = JSON.stringify(snapshot)
+    if (signature === this.signature) {
+      return true
+    }
+
+    this.routings = snapshot.routings
+    this.byGroup = this.index(snapshot.routings, (routing) => String(routing.ID_Groups))
+    this.filters = this.index(snapshot.filters, (filter) => filter.Routing_ID)
+    this.transforms = this.index(snapshot.transforms, (transform) => transform.Routing_ID)
+
+    if (this.signature !== null) {
+      console.log(`🔄 Routing cache reloaded (${this.routings.length} route(s))`)
+    }
+    this.signature = signature
+    return true
+  }
+
+  index(rows, getKey) {
+    const map = new Map()
+    for (const row of rows) {
+      const key = getKey(row)
+      if (!map.has(key)) {
+        map.set(key, [])
+      }
+      map.get(key).push(row)
+    }
+    return map
+  }
+
+  // Same lookups as the storage, so either can serve the Telegram client
+
+  async getGroupRoutings(groupId) {
+    return this.byGroup.get(String(groupId)) || []
+  }
+
+  async getRoutings(groupId, topicId = null) {
+    return RoutingResolver.resolve(await this.getGroupRoutings(groupId), topicId).routings
+  }
+
+  async getAllRoutings() {
+    return this.routings
+  }
+
+  async getRoutingFilters(routingIds) {
+    return routingIds.flatMap((id) => this.filters.get(id) || [])
+  }
+
+  async getRoutingTransforms(routingIds) {
+    return routingIds.flatMap((id) => this.transforms.get(id) || [])
+  }
+}
+
+module.exports = RoutingCache
@@ -0,0 +1,72 @@
+class RoutingResolver {
+  static resolve(rows, topicId = null) {
+    // Most specific first: rows for exactly this topic (or for "no topic") win over catch-alls
+    const exact = rows.filter((row) => !row.Catch_All && RoutingResolver.sameTopic(row.ID_Topic, topicId))
+    if (exact.length > 0) {
+      return { routings: exact, rule: "exact", excluded: [] }
+    }
+
+    const catchAll = rows.filter((row) => row.Catch_All)
+    const excluded = catchAll.filter((row) => RoutingResolver.isExcluded(row, topicId))
+    const routings = catchAll.filter((row) => !RoutingResolver.isExcluded(row, topicId))
+
+    return { routings, rule: routings.length > 0 ? "catch-all" : null, excluded }
+  }
+
+  static explain(rows, groupId, topicId = null) {
+    const lines = []
+    const resolution = RoutingResolver.resolve(rows, topicId)
+
+    if (rows.length === 0) {
+      lines.push(`No rules exist for group ${groupId}`)
+    } else {
+      const topicRows = rows.filter((row) => !row.Catch_All)
+      if (topicRows.length > 0) {
+        const topics = [...new Set(topicRows.map((row) => row.ID_Topic ?? "NULL"))].join(", ")
+        lines.push(`Group has ${topicRows.length} topic rule(s) for topic(s) ${topics}, none for topic ${topicId ?? "NULL"}`)
+      }
+      for (const row of resolution.excluded) {
+        lines.push(`Catch-all rule #${row.id} would apply but excludes topic ${topicId} (Exclude_Topics: ${row.Exclude_Topics})`)
+      }
+    }
+
+    lines.push(`A topic rule matches only this topic and takes precedence over catch-all rules:`)
+    lines.push(
+      `SQL: INSERT INTO routing (ID_Groups, ID_Topic, DC_Webhook, Comment) VALUES (${groupId}, ${topicId ?? "NULL"}, 'YOUR_WEBHOOK_URL', 'Optional comment');`,
+    )
+    lines.push(`A catch-all rule matches every topic of the group without a topic rule:`)
+    lines.push(
+      `SQL: INSERT INTO routing (ID_Groups, ID_Topic, DC_Webhook, Comment, Catch_All) VALUES (${groupId}, NULL, 'YOUR_WEBHOOK_URL', 'Optional comment', 1);`,
+    )
+
+    return lines
+  }
+
+  static isExcluded(row, topicId) {
+    if (topicId === null || topicId === undefined) {
+      return false
+    }
+    return RoutingResolver.parseTopicList(row.Exclude_Topics).includes(Number(topicId))
+  }
+
+  static sameTopic(routingTopicId, topicId) {
+    if (routingTopicId === null || routingTopicId === undefined) {
+      return topicId === null || topicId === undefined
+    }
+    return Number(routingTopicId) === Number(topicId)
+  }
+
+  static parseTopicList(value) {
+    if (!value) return []
+
+    const list = Array.isArray(value) ? value : String(value).split(",")
+    return list.map((topic) => Number.parseInt(topic)).filter((topic) => !Number.isNaN(topic))
+  }
+
+  static formatTopicList(value) {
+    const topics = RoutingResolver.parseTopicList(value)
+    return topics.length > 0 ? topics.join(",") : null
+  }
+}
+
+module.exports = RoutingResolver
@@ -0,0 +1,20 @@
+// Backends are loaded on demand, so MySQL setups don't need the SQLite driver and the other way round
+const BACKENDS = {
+  mysql: "./mysql-storage",
+  sqlite: "./sqlite-storage",
+}
+
+function getStorageBackend() {
+  return (process.env.STORAGE_BACKEND || "mysql").trim().toLowerCase()
+}
+
+function createStorage(backend = getStorageBackend()) {
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend "${backend}", use ${Object.keys(BACKENDS).join(" or ")}`)
+  }
+
+  const Storage = require(BACKENDS[backend])
+  return new Storage()
+}
+
+module.exports = { BACKENDS, getStorageBackend, createStorage }
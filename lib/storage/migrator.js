@@ -0,0 +1,111 @@
+const fs = require("fs").promises
+const path = require("path")
+
+const MIGRATIONS_DIR = path.join(__dirname, "../../db/migrations")
+const MIGRATION_FILE = /^(\d+)-(.+)\.(up|down)\.sql$/
+
+// Applies the numbered SQL files in db/migrations/<backend>/ and records them in schema_migrations
+class Migrator {
+  constructor(storage) {
+    this.storage = storage
+    this.directory = path.join(MIGRATIONS_DIR, storage.backend)
+  }
+
+  async ensureTable() {
+    await this.storage.exec(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INT NOT NULL PRIMARY KEY,
+        name VARCHAR(191) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+    )
+  }
+
+  async getMigrations() {
+    const migrations = new Map()
+    for (const file of await fs.readdir(this.directory)) {
+      const match = file.match(MIGRATION_FILE)
+      if (!match) continue
+
+      const version = Number.parseInt(match[1])
+      if (!migrations.has(version)) {
+        migrations.set(version, { version, name: match[2], up: null, down: null })
+      }
+      migrations.get(version)[match[3]] = path.join(this.directory, file)
+    }
+
+    for (const migration of migrations.values()) {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) has no .up.sql file`)
+      }
+    }
+    return [...migrations.values()].sort((a, b) => a.version - b.version)
+  }
+
+  async getApplied() {
+    await this.ensureTable()
+    const rows = await this.storage.query("SELECT * FROM schema_migrations ORDER BY version ASC")
+    return new Map(rows.map((row) => [row.version, row]))
+  }
+
+  async status() {
+    const migrations = await this.getMigrations()
+    const applied = await this.getApplied()
+
+    const known = migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.get(migration.version)?.applied_at || null,
+    }))
+    // Applied by a newer checkout whose files are missing here
+    const unknown = [...applied.values()]
+      .filter((row) => !migrations.some((migration) => migration.version === row.version))
+      .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true }))
+
+    return [...known, ...unknown].sort((a, b) => a.version - b.version)
+  }
+
+  async getPending() {
+    const applied = await this.getApplied()
+    return (await this.getMigrations()).filter((migration) => !applied.has(migration.version))
+  }
+
+  async up(targetVersion = null) {
+    const pending = (await this.getPending()).filter(
+      (migration) => targetVersion === null || migration.version <= targetVersion,
+    )
+
+    for (const migration of pending) {
+      console.log(`⬆️ Applying migration ${migration.version} (${migration.name})`)
+      const sql = await fs.readFile(migration.up, "utf8")
+      // SQLite rolls a failed migration back, MySQL commits schema changes statement by statement
+      await this.storage.transaction(async (tx) => {
+        await tx.exec(sql)
+        await tx.run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name])
+      })
+    }
+    return pending
+  }
+
+  async down(steps = 1) {
+    const migrations = await this.getMigrations()
+    const applied = [...(await this.getApplied()).values()].reverse().slice(0, steps)
+
+    for (const row of applied) {
+      const migration = migrations.find((candidate) => candidate.version === row.version)
+      if (!migration?.down) {
+        throw new Error(`Migration ${row.version} (${row.name}) has no .down.sql file to roll it back`)
+      }
+
+      console.log(`⬇️ Rolling back migration ${migration.version} (${migration.name})`)
+      const sql = await fs.readFile(migration.down, "utf8")
+      await this.storage.transaction(async (tx) => {
+        await tx.exec(sql)
+        await tx.run("DELETE FROM schema_migrations WHERE version = ?", [migration.version])
+      })
+    }
+    return applied
+  }
+}
+
+module.exports = Migrator
@@ -0,0 +1,104 @@
+const mysql = require("mysql2/promise")
+const SqlStorage = require("./sql-storage")
+
+class MysqlStorage extends SqlStorage {
+  constructor() {
+    super("mysql")
+    this.pool = null
+    this.config = {
+      host: process.env.MYSQL_HOST || "localhost",
+      user: process.env.MYSQL_USER,
+      password: process.env.MYSQL_PASSWORD,
+      database: process.env.MYSQL_DATABASE,
+    }
+    this.lockClause = " FOR UPDATE"
+  }
+
+  async init() {
+    try {
+      this.pool = mysql.createPool({
+        ...this.config,
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0,
+        acquireTimeout: 60000,
+        timeout: 60000,
+        reconnect: true,
+      })
+
+      // Test connection
+      const connection = await this.pool.getConnection()
+      console.log("✅ MySQL database connected successfully")
+      connection.release()
+    } catch (error) {
+      console.error("❌ Database connection failed:", error.message)
+      process.exit(1)
+    }
+  }
+
+  async query(sql, params = [], executor = this.pool) {
+    const [rows] = await executor.query(sql, params)
+    return rows
+  }
+
+  async run(sql, params = [], executor = this.pool) {
+    const [result] = await executor.query(sql, params)
+    return { insertId: result.insertId, affectedRows: result.affectedRows }
+  }
+
+  async exec(sql) {
+    // Scripts with several statements get their own connection, the pool never runs more than one per query
+    const connection = await mysql.createConnection({ ...this.config, multipleStatements: true })
+    try {
+      await connection.query(sql)
+    } finally {
+      await connection.end()
+    }
+  }
+
+  async transaction(work) {
+    const connection = await this.pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      const result = await work({
+        query: (sql, params) => this.query(sql, params, connection),
+        run: (sql, params) => this.run(sql, params, connection),
+        // Schema changes commit on their own in MySQL, so they don't need the transaction's connection
+        exec: (sql) => this.exec(sql),
+      })
+      await connection.commit()
+      return result
+    } catch (error) {
+      await connection.rollback()
+      throw error
+    } finally {
+      connection.release()
+    }
+  }
+
+  conflictClause() {
+    return "ON DUPLICATE KEY UPDATE"
+  }
+
+  inserted(column) {
+    return `VALUES(${column})`
+  }
+
+  greatest(a, b) {
+    return `GREATEST(${a}, ${b})`
+  }
+
+  async getColumns(table) {
+    const rows = await this.query(`SHOW COLUMNS FROM ${table}`)
+    return rows.map((row) => row.Field)
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end()
+      console.log("📦 Database connection closed")
+    }
+  }
+}
+
+module.exports = MysqlStorage
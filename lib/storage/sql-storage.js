@@ -0,0 +1,963 @@
+const RoutingResolver = require("../routing-resolver")
+
+// Every table the bridge persists, parents before the tables that reference them. routing_version is left out:
+// its one row is seeded by the migrations, and bridges only compare the counter with the value they last read,
+// so it needs to change after a copy rather than match the source
+const TABLES = [
+  { name: "routing", key: "id" },
+  { name: "routing_filters", key: "id" },
+  { name: "routing_transforms", key: "id" },
+  { name: "routing_stats", key: "Routing_ID" },
+  { name: "user_mappings", key: "id" },
+  { name: "topic_threads", key: "id" },
+  { name: "message_map", key: "id" },
+  { name: "delivery_queue", key: "id" },
+  { name: "dead_letters", key: "id" },
+  { name: "backfill_checkpoints", key: "id" },
+  { name: "chat_cursors", key: "ID_Groups, ID_Topic" },
+  { name: "message_archive", key: "id" },
+]
+
+// Queries of the bridge, shared by the storage backends. A backend provides
+// query(sql, params) resolving to rows, run(sql, params) resolving to { insertId, affectedRows },
+// transaction(work) handing work its own query, run and exec, and the few dialect helpers below.
+class SqlStorage {
+  static TABLES = TABLES
+
+  constructor(backend) {
+    this.backend = backend
+  }
+
+  placeholders(values) {
+    return values.map(() => "?").join(", ")
+  }
+
+  upsert(keys, columns, expressions = {}) {
+    const assignments = [
+      ...columns.map((column) => `${column} = ${this.inserted(column)}`),
+      ...Object.entries(expressions).map(([column, expression]) => `${column} = ${expression}`),
+    ]
+    return `${this.conflictClause(keys)} ${assignments.join(", ")}`
+  }
+
+  async getGroupRoutings(groupId) {
+    try {
+      return await this.query("SELECT * FROM routing WHERE ID_Groups = ? ORDER BY id ASC", [groupId])
+    } catch (error) {
+      console.error("Error getting group routings:", error)
+      return []
+    }
+  }
+
+  async getRoutings(groupId, topicId = null) {
+    const rows = await this.getGroupRoutings(groupId)
+    return RoutingResolver.resolve(rows, topicId).routings
+  }
+
+  async getAllRoutings() {
+    try {
+      return await this.query("SELECT * FROM routing ORDER BY created_at DESC")
+    } catch (error) {
+      console.error("Error getting all routings:", error)
+      return []
+    }
+  }
+
+  async getRouting(id) {
+    try {
+      const rows = await this.query("SELECT * FROM routing WHERE id = ?", [id])
+      return rows[0] || null
+    } catch (error) {
+      console.error("Error getting routing:", error)
+      return null
+    }
+  }
+
+  async getRoutingVersion() {
+    try {
+      const [row] = await this.query("SELECT Version FROM routing_version WHERE id = 1")
+      return row ? Number(row.Version) : null
+    } catch (error) {
+      console.error("Error getting routing version:", error.message)
+      return null
+    }
+  }
+
+  async bumpRoutingVersion() {
+    // Tells running bridges to reload their routing cache, a failure only delays that to the next full reload
+    try {
+      await this.run("UPDATE routing_version SET Version = Version + 1 WHERE id = 1")
+    } catch (error) {
+      console.error("Error updating routing version:", error.message)
+    }
+  }
+
+  async getRoutingSnapshot() {
+    // Everything the routing cache holds, null on failure so the cache keeps its previous copy
+    try {
+      const routings = await this.query("SELECT * FROM routing ORDER BY id ASC")
+      const filters = await this.query("SELECT * FROM routing_filters ORDER BY id ASC")
+      const transforms = await this.query("SELECT * FROM routing_transforms ORDER BY Position ASC, id ASC")
+      return { routings, filters, transforms }
+    } catch (error) {
+      console.error("Error loading routing snapshot:", error.message)
+      return null
+    }
+  }
+
+  async addRouting(groupId, topicId, webhookUrl, comment = null, options = {}) {
+    try {
+      const result = await this.run(
+        "INSERT INTO routing (ID_Groups, ID_Topic, DC_Webhook, Comment, Catch_All, Exclude_Topics, Allow_Mentions, Output_Mode, Embed_Color, Thread_Mode, Paused) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [
+          groupId,
+          topicId,
+          webhookUrl,
+          comment,
+          options.catchAll ? 1 : 0,
+          RoutingResolver.formatTopicList(options.excludeTopics),
+          options.allowMentions ? 1 : 0,
+          options.outputMode || "plain",
+          options.embedColor || null,
+          options.threadMode ? 1 : 0,
+          options.paused ? 1 : 0,
+        ],
+      )
+      await this.bumpRoutingVersion()
+      return result.insertId
+    } catch (error) {
+      console.error("Error adding routing:", error)
+      return null
+    }
+  }
+
+  async updateRouting(id, groupId, topicId, webhookUrl, comment = null, options = {}) {
+    try {
+      const result = await this.run(
+        "UPDATE routing SET ID_Groups = ?, ID_Topic = ?, DC_Webhook = ?, Comment = ?, Catch_All = ?, Exclude_Topics = ?, Allow_Mentions = ?, Output_Mode = ?, Embed_Color = ?, Thread_Mode = ?, Paused = ? WHERE id = ?",
+        [
+          groupId,
+          topicId,
+          webhookUrl,
+          comment,
+          options.catchAll ? 1 : 0,
+          RoutingResolver.formatTopicList(options.excludeTopics),
+          options.allowMentions ? 1 : 0,
+          options.outputMode || "plain",
+          options.embedColor || null,
+          options.threadMode ? 1 : 0,
+          options.paused ? 1 : 0,
+          id,
+        ],
+      )
+      await this.bumpRoutingVersion()
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error updating routing:", error)
+      return false
+    }
+  }
+
+  async setRoutingPaused(id, paused) {
+    try {
+      const result = await this.run("UPDATE routing SET Paused = ? WHERE id = ?", [paused ? 1 : 0, id])
+      await this.bumpRoutingVersion()
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error pausing routing:", error)
+      return false
+    }
+  }
+
+  async deleteRouting(id) {
+    try {
+      const result = await this.run("DELETE FROM routing WHERE id = ?", [id])
+      await this.bumpRoutingVersion()
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting routing:", error)
+      return false
+    }
+  }
+
+  async getRoutingFilters(routingIds) {
+    if (routingIds.length === 0) {
+      return []
+    }
+
+    try {
+      return await this.query(
+        `SELECT * FROM routing_filters WHERE Routing_ID IN (${this.placeholders(routingIds)}) ORDER BY id ASC`,
+        routingIds,
+      )
+    } catch (error) {
+      console.error("Error getting routing filters:", error)
+      return []
+    }
+  }
+
+  async addRoutingFilter(routingId, ruleType, action, value = null, comment = null) {
+    try {
+      const result = await this.run(
+        "INSERT INTO routing_filters (Routing_ID, Rule_Type, Action, Value, Comment) VALUES (?, ?, ?, ?, ?)",
+        [routingId, ruleType, action, value, comment],
+      )
+      await this.bumpRoutingVersion()
+      return result.insertId
+    } catch (error) {
+      console.error("Error adding routing filter:", error)
+      return null
+    }
+  }
+
+  async deleteRoutingFilter(id) {
+    try {
+      const result = await this.run("DELETE FROM routing_filters WHERE id = ?", [id])
+      await this.bumpRoutingVersion()
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting routing filter:", error)
+      return false
+    }
+  }
+
+  async getRoutingTransforms(routingIds) {
+    if (routingIds.length === 0) {
+      return []
+    }
+
+    try {
+      return await this.query(
+        `SELECT * FROM routing_transforms WHERE Routing_ID IN (${this.placeholders(routingIds)}) ORDER BY Position ASC, id ASC`,
+        routingIds,
+      )
+    } catch (error) {
+      console.error("Error getting routing transforms:", error)
+      return []
+    }
+  }
+
+  async addRoutingTransform(routingId, position, transformType, pattern = null, replacement = null, comment = null) {
+    try {
+      const result = await this.run(
+        "INSERT INTO routing_transforms (Routing_ID, Position, Transform_Type, Pattern, Replacement, Comment) VALUES (?, ?, ?, ?, ?, ?)",
+        [routingId, position, transformType, pattern, replacement, comment],
+      )
+      await this.bumpRoutingVersion()
+      return result.insertId
+    } catch (error) {
+      console.error("Error adding routing transform:", error)
+      return null
+    }
+  }
+
+  async deleteRoutingTransform(id) {
+    try {
+      const result = await this.run("DELETE FROM routing_transforms WHERE id = ?", [id])
+      await this.bumpRoutingVersion()
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting routing transform:", error)
+      return false
+    }
+  }
+
+  async getUserMapping(telegramUserId) {
+    try {
+      const rows = await this.query("SELECT * FROM user_mappings WHERE TG_User_ID = ?", [String(telegramUserId)])
+      return rows[0] || null
+    } catch (error) {
+      console.error("Error getting user mapping:", error)
+      return null
+    }
+  }
+
+  async findUserMappings(telegramUserIds = [], telegramUsernames = []) {
+    if (telegramUserIds.length === 0 && telegramUsernames.length === 0) {
+      return []
+    }
+
+    // IN () with an empty list is invalid SQL, a NULL never matches
+    const userIds = telegramUserIds.length > 0 ? telegramUserIds.map(String) : [null]
+    const usernames = telegramUsernames.length > 0 ? telegramUsernames : [null]
+
+    try {
+      return await this.query(
+        `SELECT * FROM user_mappings WHERE TG_User_ID IN (${this.placeholders(userIds)}) OR TG_Username IN (${this.placeholders(usernames)})`,
+        [...userIds, ...usernames],
+      )
+    } catch (error) {
+      console.error("Error finding user mappings:", error)
+      return []
+    }
+  }
+
+  async getAllUserMappings() {
+    try {
+      // Handle-only rows have no Telegram user ID and are listed last, by handle
+      return await this.query("SELECT * FROM user_mappings ORDER BY TG_User_ID IS NULL, TG_User_ID ASC, TG_Username ASC")
+    } catch (error) {
+      console.error("Error getting user mappings:", error)
+      return []
+    }
+  }
+
+  async saveUserMapping(mapping) {
+    const username = mapping.telegramUsername ? mapping.telegramUsername.replace(/^@/, "").toLowerCase() : null
+    const values = [
+      username,
+      mapping.discordUserId || null,
+      mapping.mentionType || "user",
+      mapping.discordName || null,
+      mapping.avatarUrl || null,
+      mapping.comment || null,
+    ]
+
+    try {
+      if (!mapping.telegramUserId) {
+        // A row for a bare @handle has no key to upsert on, the handle's previous row is replaced
+        return await this.transaction(async (tx) => {
+          await tx.run("DELETE FROM user_mappings WHERE TG_User_ID IS NULL AND TG_Username = ?", [username])
+          const result = await tx.run(
+            "INSERT INTO user_mappings (TG_Username, DC_User_ID, Mention_Type, DC_Display_Name, DC_Avatar_URL, Comment) VALUES (?, ?, ?, ?, ?, ?)",
+            values,
+          )
+          return result.affectedRows > 0
+        })
+      }
+
+      const result = await this.run(
+        `INSERT INTO user_mappings (TG_User_ID, TG_Username, DC_User_ID, Mention_Type, DC_Display_Name, DC_Avatar_URL, Comment)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ${this.upsert(["TG_User_ID"], ["TG_Username", "DC_User_ID", "Mention_Type", "DC_Display_Name", "DC_Avatar_URL", "Comment"])}`,
+        [String(mapping.telegramUserId), ...values],
+      )
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error saving user mapping:", error)
+      return false
+    }
+  }
+
+  async deleteUserMapping(telegramUserId) {
+    try {
+      const result = await this.run("DELETE FROM user_mappings WHERE TG_User_ID = ?", [String(telegramUserId)])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting user mapping:", error)
+      return false
+    }
+  }
+
+  async deleteHandleMapping(handle) {
+    try {
+      const result = await this.run("DELETE FROM user_mappings WHERE TG_User_ID IS NULL AND TG_Username = ?", [
+        handle.replace(/^@/, "").toLowerCase(),
+      ])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting handle mapping:", error)
+      return false
+    }
+  }
+
+  async getTopicThread(routingId, topicId) {
+    try {
+      const rows = await this.query("SELECT * FROM topic_threads WHERE Routing_ID = ? AND ID_Topic = ?", [
+        routingId,
+        topicId,
+      ])
+      return rows[0] || null
+    } catch (error) {
+      console.error("Error getting topic thread:", error)
+      return null
+    }
+  }
+
+  async saveTopicThread(routingId, groupId, topicId, threadId, threadName) {
+    try {
+      const result = await this.run(
+        `INSERT INTO topic_threads (Routing_ID, ID_Groups, ID_Topic, DC_Thread_ID, Thread_Name) VALUES (?, ?, ?, ?, ?)
+         ${this.upsert(["Routing_ID", "ID_Topic"], ["DC_Thread_ID", "Thread_Name"], { Closed: "0" })}`,
+        [routingId, groupId, topicId, threadId, threadName],
+      )
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error saving topic thread:", error)
+      return false
+    }
+  }
+
+  async updateTopicThread(id, threadName, closed) {
+    try {
+      const result = await this.run("UPDATE topic_threads SET Thread_Name = ?, Closed = ? WHERE id = ?", [
+        threadName,
+        closed ? 1 : 0,
+        id,
+      ])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error updating topic thread:", error)
+      return false
+    }
+  }
+
+  async deleteTopicThread(id) {
+    try {
+      const result = await this.run("DELETE FROM topic_threads WHERE id = ?", [id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting topic thread:", error)
+      return false
+    }
+  }
+
+  async saveChatCursor(groupId, topicId, messageId) {
+    try {
+      await this.run(
+        `INSERT INTO chat_cursors (ID_Groups, ID_Topic, Last_Message_ID) VALUES (?, ?, ?)
+         ${this.upsert(["ID_Groups", "ID_Topic"], [], {
+           Last_Message_ID: this.greatest("Last_Message_ID", this.inserted("Last_Message_ID")),
+         })}`,
+        [groupId, topicId || 0, messageId],
+      )
+      return true
+    } catch (error) {
+      console.error("Error saving chat cursor:", error)
+      return false
+    }
+  }
+
+  async getChatCursors() {
+    // Message IDs are per chat, the newest one over all topics is where the chat continues
+    try {
+      return await this.query(
+        "SELECT ID_Groups, MAX(Last_Message_ID) AS Last_Message_ID FROM chat_cursors GROUP BY ID_Groups",
+      )
+    } catch (error) {
+      console.error("Error getting chat cursors:", error)
+      return []
+    }
+  }
+
+  async getRoutingStats() {
+    try {
+      return await this.query("SELECT * FROM routing_stats")
+    } catch (error) {
+      console.error("Error getting routing stats:", error)
+      return []
+    }
+  }
+
+  async recordRoutingDelivery(routingId) {
+    // Deliveries of a since deleted routing row are not counted
+    try {
+      await this.run(
+        `INSERT INTO routing_stats (Routing_ID, Forwarded, Last_Forward_At) SELECT id, 1, CURRENT_TIMESTAMP FROM routing WHERE id = ?
+         ${this.upsert(["Routing_ID"], [], { Forwarded: "Forwarded + 1", Last_Forward_At: "CURRENT_TIMESTAMP" })}`,
+        [routingId],
+      )
+      return true
+    } catch (error) {
+      console.error("Error recording routing delivery:", error)
+      return false
+    }
+  }
+
+  async recordRoutingError(routingId, errorMessage) {
+    try {
+      await this.run(
+        `INSERT INTO routing_stats (Routing_ID, Last_Error, Last_Error_At) SELECT id, ?, CURRENT_TIMESTAMP FROM routing WHERE id = ?
+         ${this.upsert(["Routing_ID"], ["Last_Error"], { Last_Error_At: "CURRENT_TIMESTAMP" })}`,
+        [errorMessage, routingId],
+      )
+      return true
+    } catch (error) {
+      console.error("Error recording routing error:", error)
+      return false
+    }
+  }
+
+  async getBackfillCheckpoint(jobKey) {
+    try {
+      const rows = await this.query("SELECT * FROM backfill_checkpoints WHERE Job_Key = ?", [jobKey])
+      return rows[0] || null
+    } catch (error) {
+      console.error("Error getting backfill checkpoint:", error)
+      return null
+    }
+  }
+
+  async saveBackfillCheckpoint(jobKey, groupId, topicId, routingId, lastMessageId, forwarded, completed = false) {
+    try {
+      const result = await this.run(
+        `INSERT INTO backfill_checkpoints (Job_Key, ID_Groups, ID_Topic, Routing_ID, Last_Message_ID, Forwarded, Completed)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ${this.upsert(["Job_Key"], ["Last_Message_ID", "Forwarded", "Completed"])}`,
+        [jobKey, groupId, topicId, routingId, lastMessageId, forwarded, completed ? 1 : 0],
+      )
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error saving backfill checkpoint:", error)
+      return false
+    }
+  }
+
+  async saveMessageMapping(routingId, groupId, telegramMessageId, webhookUrl, discordMessage, hasText = true) {
+    try {
+      const result = await this.run(
+        "INSERT INTO message_map (Routing_ID, ID_Groups, TG_Message_ID, DC_Webhook, DC_Message_ID, DC_Channel_ID, Has_Text) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [
+          routingId,
+          groupId,
+          telegramMessageId,
+          webhookUrl,
+          discordMessage.id,
+          discordMessage.channel_id || null,
+          hasText ? 1 : 0,
+        ],
+      )
+      return result.insertId
+    } catch (error) {
+      console.error("Error saving message mapping:", error)
+      return null
+    }
+  }
+
+  async getMessageMappings(groupId, telegramMessageId) {
+    try {
+      return await this.query(
+        "SELECT m.*, r.Allow_Mentions, r.Output_Mode FROM message_map m LEFT JOIN routing r ON r.id = m.Routing_ID WHERE m.ID_Groups = ? AND m.TG_Message_ID = ? ORDER BY m.id ASC",
+        [groupId, telegramMessageId],
+      )
+    } catch (error) {
+      console.error("Error getting message mappings:", error)
+      return []
+    }
+  }
+
+  async getBridgedRoutingIds(groupId, telegramMessageIds) {
+    // Routes a message is already on its way to: forwarded, waiting in the queue or archived as not failed.
+    // null on failure, so callers don't send a message twice because the check didn't run
+    if (telegramMessageIds.length === 0) {
+      return []
+    }
+
+    const ids = this.placeholders(telegramMessageIds)
+    try {
+      const rows = await this.query(
+        `SELECT Routing_ID FROM message_map WHERE ID_Groups = ? AND TG_Message_ID IN (${ids})
+         UNION SELECT Routing_ID FROM delivery_queue WHERE ID_Groups = ? AND TG_Message_ID IN (${ids})
+         UNION SELECT Routing_ID FROM message_archive WHERE ID_Groups = ? AND TG_Message_ID IN (${ids}) AND Status <> 'failed'`,
+        [groupId, ...telegramMessageIds, groupId, ...telegramMessageIds, groupId, ...telegramMessageIds],
+      )
+      return rows.map((row) => row.Routing_ID)
+    } catch (error) {
+      console.error("Error getting bridged routes:", error)
+      return null
+    }
+  }
+
+  async getNonChannelMessageMappings(telegramMessageId) {
+    // Message IDs outside channels/supergroups are unique per account, so Telegram
+    // reports their deletion without a chat. Channel IDs start at -1000000000000.
+    try {
+      return await this.query(
+        "SELECT m.*, r.Allow_Mentions, r.Output_Mode FROM message_map m LEFT JOIN routing r ON r.id = m.Routing_ID WHERE m.TG_Message_ID = ? AND m.ID_Groups > -1000000000000 ORDER BY m.id ASC",
+        [telegramMessageId],
+      )
+    } catch (error) {
+      console.error("Error getting message mappings:", error)
+      return []
+    }
+  }
+
+  async countMessageMappings(discordMessageId) {
+    try {
+      const [row] = await this.query("SELECT COUNT(*) AS count FROM message_map WHERE DC_Message_ID = ?", [
+        discordMessageId,
+      ])
+      return Number(row.count)
+    } catch (error) {
+      console.error("Error counting message mappings:", error)
+      return null
+    }
+  }
+
+  async deleteMessageMapping(id) {
+    try {
+      const result = await this.run("DELETE FROM message_map WHERE id = ?", [id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting message mapping:", error)
+      return false
+    }
+  }
+
+  async enqueueDelivery(routingId, groupId, telegramMessageId, webhookUrl, payload) {
+    try {
+      const result = await this.run(
+        "INSERT INTO delivery_queue (Routing_ID, ID_Groups, TG_Message_ID, DC_Webhook, Payload, Next_Attempt_At) VALUES (?, ?, ?, ?, ?, ?)",
+        [routingId, groupId, telegramMessageId, webhookUrl, JSON.stringify(payload), new Date()],
+      )
+      return result.insertId
+    } catch (error) {
+      console.error("Error enqueueing delivery:", error)
+      return null
+    }
+  }
+
+  async getReadyWebhooks(now = new Date()) {
+    // A webhook's oldest message decides whether it can be worked on, later ones wait behind it,
+    // so one webhook in backoff or claimed by another process doesn't hold up the others
+    try {
+      const rows = await this.query(
+        `SELECT q.DC_Webhook FROM delivery_queue q
+         JOIN (SELECT MIN(id) AS id FROM delivery_queue GROUP BY DC_Webhook) heads ON heads.id = q.id
+         WHERE q.Next_Attempt_At <= ? AND (q.Locked_Until IS NULL OR q.Locked_Until < ?)
+         ORDER BY q.id ASC`,
+        [now, now],
+      )
+      return rows.map((row) => row.DC_Webhook)
+    } catch (error) {
+      console.error("Error getting ready webhooks:", error)
+      return []
+    }
+  }
+
+  async claimDeliveries(webhookUrl, owner, lockedUntil, limit = 100) {
+    // The conditional UPDATE lets only one of the processes sharing the queue claim a message
+    try {
+      const now = new Date()
+      const rows = await this.query("SELECT id FROM delivery_queue WHERE DC_Webhook = ? ORDER BY id ASC LIMIT ?", [
+        webhookUrl,
+        limit,
+      ])
+      if (rows.length === 0) {
+        return []
+      }
+
+      const ids = rows.map((row) => row.id)
+      await this.run(
+        `UPDATE delivery_queue SET Claimed_By = ?, Locked_Until = ?
+         WHERE id IN (${this.placeholders(ids)}) AND (Claimed_By IS NULL OR Claimed_By = ? OR Locked_Until < ?)`,
+        [owner, lockedUntil, ...ids, owner, now],
+      )
+      const claimed = await this.query(
+        `SELECT * FROM delivery_queue WHERE id IN (${this.placeholders(ids)}) AND Claimed_By = ? ORDER BY id ASC`,
+        [...ids, owner],
+      )
+
+      // Only the run starting at the oldest message, a gap would break the webhook's order
+      const run = []
+      for (const delivery of claimed) {
+        if (delivery.id !== ids[run.length]) break
+        run.push(delivery)
+      }
+      return run
+    } catch (error) {
+      console.error("Error claiming deliveries:", error)
+      return []
+    }
+  }
+
+  async releaseDeliveries(owner) {
+    try {
+      const result = await this.run("UPDATE delivery_queue SET Claimed_By = NULL, Locked_Until = NULL WHERE Claimed_By = ?", [
+        owner,
+      ])
+      return result.affectedRows
+    } catch (error) {
+      console.error("Error releasing deliveries:", error)
+      return 0
+    }
+  }
+
+  async countPendingDeliveries() {
+    try {
+      const rows = await this.query("SELECT COUNT(*) AS count FROM delivery_queue")
+      return rows[0].count
+    } catch (error) {
+      console.error("Error counting pending deliveries:", error)
+      return 0
+    }
+  }
+
+  async markDeliveryFailed(id, attempts, nextAttemptAt, errorMessage) {
+    try {
+      const result = await this.run(
+        "UPDATE delivery_queue SET Attempts = ?, Next_Attempt_At = ?, Last_Error = ? WHERE id = ?",
+        [attempts, nextAttemptAt, errorMessage, id],
+      )
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error updating delivery:", error)
+      return false
+    }
+  }
+
+  async updateDeliveryPayload(id, payload) {
+    try {
+      const result = await this.run("UPDATE delivery_queue SET Payload = ? WHERE id = ?", [JSON.stringify(payload), id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error updating delivery:", error)
+      return false
+    }
+  }
+
+  async deleteDelivery(id) {
+    try {
+      const result = await this.run("DELETE FROM delivery_queue WHERE id = ?", [id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting delivery:", error)
+      return false
+    }
+  }
+
+  async moveToDeadLetter(delivery, attempts, errorMessage) {
+    try {
+      return await this.transaction(async (tx) => {
+        const result = await tx.run(
+          "INSERT INTO dead_letters (Routing_ID, ID_Groups, TG_Message_ID, DC_Webhook, Payload, Attempts, Last_Error, queued_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+          [
+            delivery.Routing_ID,
+            delivery.ID_Groups,
+            delivery.TG_Message_ID,
+            delivery.DC_Webhook,
+            delivery.Payload,
+            attempts,
+            errorMessage,
+            delivery.created_at,
+          ],
+        )
+        await tx.run("DELETE FROM delivery_queue WHERE id = ?", [delivery.id])
+        return result.insertId
+      })
+    } catch (error) {
+      console.error("Error moving delivery to dead letters:", error)
+      return null
+    }
+  }
+
+  async getDeadLetters(limit = 50) {
+    try {
+      return await this.query("SELECT * FROM dead_letters ORDER BY id DESC LIMIT ?", [limit])
+    } catch (error) {
+      console.error("Error getting dead letters:", error)
+      return []
+    }
+  }
+
+  async getDeadLetter(id) {
+    try {
+      const rows = await this.query("SELECT * FROM dead_letters WHERE id = ?", [id])
+      return rows[0] || null
+    } catch (error) {
+      console.error("Error getting dead letter:", error)
+      return null
+    }
+  }
+
+  async replayDeadLetter(id) {
+    try {
+      return await this.transaction(async (tx) => {
+        const rows = await tx.query(`SELECT * FROM dead_letters WHERE id = ?${this.lockClause}`, [id])
+        const deadLetter = rows[0]
+        if (!deadLetter) {
+          return null
+        }
+
+        const result = await tx.run(
+          "INSERT INTO delivery_queue (Routing_ID, ID_Groups, TG_Message_ID, DC_Webhook, Payload, Next_Attempt_At) VALUES (?, ?, ?, ?, ?, ?)",
+          [
+            deadLetter.Routing_ID,
+            deadLetter.ID_Groups,
+            deadLetter.TG_Message_ID,
+            deadLetter.DC_Webhook,
+            deadLetter.Payload,
+            new Date(),
+          ],
+        )
+        await tx.run("DELETE FROM dead_letters WHERE id = ?", [id])
+        return result.insertId
+      })
+    } catch (error) {
+      console.error("Error replaying dead letter:", error)
+      return null
+    }
+  }
+
+  async deleteDeadLetter(id) {
+    try {
+      const result = await this.run("DELETE FROM dead_letters WHERE id = ?", [id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error deleting dead letter:", error)
+      return false
+    }
+  }
+
+  async archiveMessage(entry) {
+    // Forwarding the same message again, e.g. by a restarted backfill, starts its record over
+    try {
+      await this.run(
+        `INSERT INTO message_archive (Routing_ID, ID_Groups, ID_Topic, TG_Message_ID, Sender_ID, Sender_Name, Sender_Username, Content, Media_Files, Sent_At)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ${this.upsert(
+           ["Routing_ID", "ID_Groups", "TG_Message_ID"],
+           ["ID_Topic", "Sender_ID", "Sender_Name", "Sender_Username", "Content", "Media_Files", "Sent_At"],
+           { Status: "'queued'", Last_Error: "NULL", DC_Message_ID: "NULL", Forwarded_At: "NULL" },
+         )}`,
+        [
+          entry.routingId,
+          entry.groupId,
+          entry.topicId || null,
+          entry.telegramMessageId,
+          entry.senderId ? String(entry.senderId) : null,
+          entry.senderName || null,
+          entry.senderUsername ? entry.senderUsername.replace(/^@/, "").toLowerCase() : null,
+          entry.content || null,
+          JSON.stringify(entry.files || []),
+          entry.sentAt || null,
+        ],
+      )
+      return true
+    } catch (error) {
+      console.error("Error archiving message:", error)
+      return false
+    }
+  }
+
+  async markArchiveForwarded(routingId, groupId, telegramMessageId, discordMessageId) {
+    try {
+      const result = await this.run(
+        `UPDATE message_archive SET Status = 'forwarded', DC_Message_ID = ?, Last_Error = NULL, Forwarded_At = CURRENT_TIMESTAMP
+         WHERE Routing_ID = ? AND ID_Groups = ? AND TG_Message_ID = ?`,
+        [discordMessageId || null, routingId, groupId, telegramMessageId],
+      )
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error updating archived message:", error)
+      return false
+    }
+  }
+
+  async updateArchiveContent(groupId, telegramMessageId, content) {
+    try {
+      const result = await this.run("UPDATE message_archive SET Content = ? WHERE ID_Groups = ? AND TG_Message_ID = ?", [
+        content || null,
+        groupId,
+        telegramMessageId,
+      ])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error updating archived message:", error)
+      return false
+    }
+  }
+
+  async markArchiveFailed(routingId, groupId, telegramMessageId, status, errorMessage) {
+    try {
+      const result = await this.run(
+        "UPDATE message_archive SET Status = ?, Last_Error = ? WHERE Routing_ID = ? AND ID_Groups = ? AND TG_Message_ID = ?",
+        [status, errorMessage, routingId, groupId, telegramMessageId],
+      )
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error("Error updating archived message:", error)
+      return false
+    }
+  }
+
+  archiveConditions(filters) {
+    const conditions = []
+    const params = []
+    // ! escapes LIKE wildcards in both dialects, a backslash only in MySQL
+    const contains = (value) => `%${value.replace(/[!%_]/g, "!$&")}%`
+
+    for (const [column, value] of [
+      ["Routing_ID", filters.routingId],
+      ["ID_Groups", filters.groupId],
+      ["ID_Topic", filters.topicId],
+      ["Status", filters.status],
+    ]) {
+      if (value !== null && value !== undefined) {
+        conditions.push(`${column} = ?`)
+        params.push(value)
+      }
+    }
+    if (filters.sender) {
+      conditions.push("(Sender_ID = ? OR Sender_Username = ? OR Sender_Name LIKE ? ESCAPE '!')")
+      params.push(filters.sender, filters.sender.replace(/^@/, "").toLowerCase(), contains(filters.sender))
+    }
+    if (filters.text) {
+      conditions.push("Content LIKE ? ESCAPE '!'")
+      params.push(contains(filters.text))
+    }
+    if (filters.from) {
+      conditions.push("Sent_At >= ?")
+      params.push(filters.from)
+    }
+    if (filters.to) {
+      conditions.push("Sent_At < ?")
+      params.push(filters.to)
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "", params }
+  }
+
+  async searchArchive(filters = {}, limit = 50, offset = 0, oldestFirst = false) {
+    const { where, params } = this.archiveConditions(filters)
+    const order = oldestFirst ? "ASC" : "DESC"
+
+    try {
+      return await this.query(
+        `SELECT * FROM message_archive ${where} ORDER BY Sent_At ${order}, id ${order} LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+      )
+    } catch (error) {
+      console.error("Error searching message archive:", error)
+      return null
+    }
+  }
+
+  async countArchive(filters = {}) {
+    const { where, params } = this.archiveConditions(filters)
+
+    try {
+      const rows = await this.query(`SELECT COUNT(*) AS count FROM message_archive ${where}`, params)
+      return Number(rows[0].count)
+    } catch (error) {
+      console.error("Error counting archived messages:", error)
+      return null
+    }
+  }
+
+  // Table level access for copying data between backends
+
+  async countRows(table) {
+    const rows = await this.query(`SELECT COUNT(*) AS count FROM ${table}`)
+    return Number(rows[0].count)
+  }
+
+  async readRows(table, key, limit, offset) {
+    return this.query(`SELECT * FROM ${table} ORDER BY ${key} LIMIT ? OFFSET ?`, [limit, offset])
+  }
+
+  async insertRows(table, columns, rows) {
+    const sql = `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${this.placeholders(columns)})`
+    await this.transaction(async (tx) => {
+      for (const row of rows) {
+        await tx.run(sql, columns.map((column) => row[column]))
+      }
+    })
+  }
+
+  async clearTable(table) {
+    await this.run(`DELETE FROM ${table}`)
+  }
+}
+
+module.exports = SqlStorage
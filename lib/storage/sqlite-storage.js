@@ -0,0 +1,144 @@
+const fs = require("fs")
+const path = require("path")
+const BetterSqlite3 = require("better-sqlite3")
+const SqlStorage = require("./sql-storage")
+
+// Columns holding times, read back as Date like mysql2 does
+const TIME_COLUMN = /_at$/i
+const TIME_VALUE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/
+
+class SqliteStorage extends SqlStorage {
+  constructor() {
+    super("sqlite")
+    this.file = process.env.SQLITE_PATH || "./data/bridge.sqlite"
+    this.db = null
+    this.statements = new Map()
+    this.transactionQueue = Promise.resolve()
+    this.inTransaction = false
+    this.lockClause = ""
+  }
+
+  async init() {
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true })
+      this.db = new BetterSqlite3(this.file)
+      this.db.pragma("journal_mode = WAL")
+      this.db.pragma("foreign_keys = ON")
+      // The scripts open the same file while the bridge runs
+      this.db.pragma("busy_timeout = 5000")
+      console.log(`✅ SQLite database opened (${this.file})`)
+    } catch (error) {
+      console.error("❌ Database connection failed:", error.message)
+      process.exit(1)
+    }
+  }
+
+  prepare(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql))
+    }
+    return this.statements.get(sql)
+  }
+
+  toParam(value) {
+    // better-sqlite3 only binds numbers, strings, bigints, buffers and null
+    if (value instanceof Date) {
+      return value.toISOString().substring(0, 19).replace("T", " ")
+    }
+    if (typeof value === "boolean") {
+      return value ? 1 : 0
+    }
+    return value ?? null
+  }
+
+  fromRow(row) {
+    for (const [column, value] of Object.entries(row)) {
+      if (TIME_COLUMN.test(column) && typeof value === "string" && TIME_VALUE.test(value)) {
+        row[column] = new Date(`${value.replace(" ", "T")}Z`)
+      }
+    }
+    return row
+  }
+
+  async outsideTransaction(statement) {
+    // Everything shares one connection, so a statement run while a transaction awaits would land inside it.
+    // It runs in the same tick the transaction is seen closed, before the next one can begin
+    while (this.inTransaction) {
+      await this.transactionQueue
+    }
+    return statement()
+  }
+
+  async query(sql, params = []) {
+    return this.outsideTransaction(() => this.queryNow(sql, params))
+  }
+
+  async run(sql, params = []) {
+    return this.outsideTransaction(() => this.runNow(sql, params))
+  }
+
+  async exec(sql) {
+    return this.outsideTransaction(() => this.db.exec(sql))
+  }
+
+  queryNow(sql, params = []) {
+    return this.prepare(sql)
+      .all(params.map((value) => this.toParam(value)))
+      .map((row) => this.fromRow(row))
+  }
+
+  runNow(sql, params = []) {
+    const result = this.prepare(sql).run(params.map((value) => this.toParam(value)))
+    return { insertId: Number(result.lastInsertRowid), affectedRows: result.changes }
+  }
+
+  transaction(work) {
+    // One connection, so transactions take turns instead of nesting and only the work sees the open one
+    const next = this.transactionQueue.then(async () => {
+      this.db.exec("BEGIN IMMEDIATE")
+      this.inTransaction = true
+      try {
+        const result = await work({
+          query: async (sql, params) => this.queryNow(sql, params),
+          run: async (sql, params) => this.runNow(sql, params),
+          exec: async (sql) => this.db.exec(sql),
+        })
+        this.db.exec("COMMIT")
+        return result
+      } catch (error) {
+        this.db.exec("ROLLBACK")
+        throw error
+      } finally {
+        this.inTransaction = false
+      }
+    })
+    this.transactionQueue = next.catch(() => {})
+    return next
+  }
+
+  conflictClause(keys) {
+    return `ON CONFLICT(${keys.join(", ")}) DO UPDATE SET`
+  }
+
+  inserted(column) {
+    return `excluded.${column}`
+  }
+
+  greatest(a, b) {
+    return `MAX(${a}, ${b})`
+  }
+
+  async getColumns(table) {
+    const rows = await this.query(`PRAGMA table_info(${table})`)
+    return rows.map((row) => row.name)
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close()
+      console.log("📦 Database connection closed")
+    }
+  }
+}
+
+module.exports = SqliteStorage
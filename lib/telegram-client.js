@@ -1,32 +1,58 @@
-const { TelegramClient } = require("telegram")
+const { TelegramClient, Api } = require("telegram")
 const { StringSession } = require("telegram/sessions")
 const input = require("input")
 const path = require("path")
 const fs = require("fs").promises
+const MarkdownConverter = require("./markdown-converter")
+const RoutingResolver = require("./routing-resolver")
+const MessageFilter = require("./message-filter")
+const TextTransformer = require("./text-transformer")
+const HistoryForwarder = require("./history-forwarder")
 
 class TelegramBot {
-  constructor(database, discordForwarder, imageProcessor) {
+  constructor(database, discordForwarder, imageProcessor, deliveryQueue, options = {}) {
     this.database = database
     this.discordForwarder = discordForwarder
     this.imageProcessor = imageProcessor
+    this.deliveryQueue = deliveryQueue
     this.client = null
     this.isConnected = false
     this.reconnectAttempts = 0
     this.maxReconnectAttempts = 10
     this.reconnectDelay = 5000
+    this.albumBuffers = new Map()
+    this.albumBufferDelay = Number.parseInt(process.env.ALBUM_BUFFER_MS) || 1500
+    this.topicTitles = new Map()
+    this.listen = options.listen !== false // false for scripts that only read history
+    // Route lookups go to the routing cache when there is one, otherwise straight to the database
+    this.routes = options.routingCache || database
+    this.metrics = options.metrics || null
+    // Missed messages older than the window are not forwarded after downtime, 0 disables catch-up
+    this.catchUpWindow = Number.parseInt(process.env.CATCHUP_WINDOW_MINUTES ?? 60) * 60 * 1000 || 0
+    this.catchUpMaxMessages = Number.parseInt(process.env.CATCHUP_MAX_MESSAGES) || 100
+    this.catchingUp = false
+    this.bufferedUpdates = []
   }
 
   async init() {
     try {
       const apiId = Number.parseInt(process.env.TELEGRAM_API_ID)
       const apiHash = process.env.TELEGRAM_API_HASH
-      const sessionString = process.env.TELEGRAM_SESSION || ""
+      // Scripts log in with a session of their own, Telegram rejects one session connected from two places at once
+      const sessionName =
+        this.listen || (!process.env.TELEGRAM_SCRIPT_SESSION && process.env.TELEGRAM_SESSION)
+          ? "TELEGRAM_SESSION"
+          : "TELEGRAM_SCRIPT_SESSION"
+      const sessionString = process.env[sessionName] || ""
 
       if (!apiId || !apiHash) {
         throw new Error("Missing TELEGRAM_API_ID or TELEGRAM_API_HASH in environment variables")
       }
 
       console.log("📱 Initializing Telegram client...")
+      if (!this.listen && sessionName === "TELEGRAM_SESSION") {
+        console.log("⚠️ Using the bridge's Telegram session, stop the bridge first or set TELEGRAM_SCRIPT_SESSION")
+      }
 
       const session = new StringSession(sessionString)
       this.client = new TelegramClient(session, apiId, apiHash, {
@@ -50,18 +76,28 @@ class TelegramBot {
         console.log("\n" + "=".repeat(60))
         console.log("🔑 AUTHENTICATION SUCCESSFUL!")
         console.log("📋 Copy this session string to your .env file:")
-        console.log(`TELEGRAM_SESSION=${this.client.session.save()}`)
+        console.log(`${sessionName}=${this.client.session.save()}`)
         console.log("=".repeat(60) + "\n")
       }
 
       this.isConnected = true
       this.reconnectAttempts = 0
 
-      this.setupEventHandlers()
+      if (this.listen) {
+        // Updates arriving while missed messages are forwarded wait so order is kept
+        this.catchingUp = this.catchUpWindow > 0
+        this.setupEventHandlers()
+        await this.catchUp()
+      }
 
       return true
     } catch (error) {
       console.error("❌ Failed to initialize Telegram client:", error.message)
+      if (String(error.errorMessage || error.message).includes("AUTH_KEY_DUPLICATED")) {
+        // Reconnecting only repeats the clash
+        console.error("❌ The Telegram session is in use by another process, stop it or use a separate session")
+        return false
+      }
       await this.handleReconnect()
       return false
     }
@@ -76,16 +112,11 @@ class TelegramBot {
 
     // Handle new messages
     this.client.addEventHandler(async (update) => {
-      try {
-        console.log(`📥 [DEBUG] Received update: ${update.className}`)
-        if (update.className === "UpdateNewMessage") {
-          await this.handleNewMessage(update)
-        } else if (update.className === "UpdateNewChannelMessage") {
-          await this.handleNewChannelMessage(update)
-        }
-      } catch (error) {
-        console.error("Error handling update:", error)
+      if (this.catchingUp) {
+        this.bufferedUpdates.push(update)
+        return
       }
+      await this.handleUpdate(update)
     })
 
     // Handle connection errors
@@ -101,6 +132,83 @@ class TelegramBot {
     })
   }
 
+  async handleUpdate(update) {
+    try {
+      console.log(`📥 [DEBUG] Received update: ${update.className}`)
+      if (update.className === "UpdateNewMessage") {
+        await this.handleNewMessage(update)
+      } else if (update.className === "UpdateNewChannelMessage") {
+        await this.handleNewChannelMessage(update)
+      } else if (update.className === "UpdateEditMessage" || update.className === "UpdateEditChannelMessage") {
+        await this.handleEditedMessage(update)
+      } else if (update.className === "UpdateDeleteMessages") {
+        await this.handleDeletedMessages(update.messages, null)
+      } else if (update.className === "UpdateDeleteChannelMessages") {
+        await this.handleDeletedMessages(update.messages, this.getBridgeChatId({ channelId: update.channelId }))
+      }
+    } catch (error) {
+      console.error("Error handling update:", error)
+    }
+  }
+
+  async catchUp() {
+    // Messages newer than the last forwarded one in each chat, limited to the configured window
+    const caughtUpTo = new Map()
+
+    try {
+      if (this.catchUpWindow <= 0) {
+        return
+      }
+
+      const routedGroups = new Set((await this.routes.getAllRoutings()).map((routing) => String(routing.ID_Groups)))
+      const cursors = (await this.database.getChatCursors()).filter((cursor) => routedGroups.has(String(cursor.ID_Groups)))
+      const historyForwarder = new HistoryForwarder(this.database, this)
+      const since = new Date(Date.now() - this.catchUpWindow)
+
+      for (const cursor of cursors) {
+        const groupId = Number(cursor.ID_Groups)
+        try {
+          const stats = await historyForwarder.forward(groupId, {
+            minId: Number(cursor.Last_Message_ID),
+            fromDate: since,
+            limit: this.catchUpMaxMessages,
+            latest: true,
+          })
+          caughtUpTo.set(groupId, stats.lastMessageId)
+
+          if (stats.read > 0) {
+            console.log(`⏩ Caught up on ${stats.read} missed message(s) in ${groupId}, ${stats.forwarded} forwarded`)
+          }
+          if (stats.read >= this.catchUpMaxMessages) {
+            console.log(`⚠️ Catch-up for ${groupId} stopped at ${this.catchUpMaxMessages} message(s), older ones were left out`)
+          }
+        } catch (error) {
+          console.error(`❌ Could not catch up on ${groupId}: ${error.message}`)
+        }
+      }
+    } finally {
+      this.catchingUp = false
+      await this.flushBufferedUpdates(caughtUpTo)
+    }
+  }
+
+  async flushBufferedUpdates(caughtUpTo) {
+    const updates = this.bufferedUpdates
+    this.bufferedUpdates = []
+
+    for (const update of updates) {
+      // Catch-up already read new messages up to this ID
+      const message = update.message
+      if (["UpdateNewMessage", "UpdateNewChannelMessage"].includes(update.className) && message?.peerId) {
+        const caughtUpId = caughtUpTo.get(this.getBridgeChatId(message.peerId))
+        if (caughtUpId && message.id <= caughtUpId) {
+          continue
+        }
+      }
+      await this.handleUpdate(update)
+    }
+  }
+
   async handleNewMessage(update) {
     console.log(`\n📨 [DEBUG] Processing new message...`)
 
@@ -114,6 +222,7 @@ class TelegramBot {
       console.log(`   ⏭️ Skipping outgoing message`)
       return
     }
+    this.metrics?.received.inc()
 
     console.log(`🔍 [DEBUG] New message received:`)
     console.log(`   Chat ID: ${message.peerId?.channelId || message.peerId?.chatId || message.peerId?.userId}`)
@@ -173,70 +282,26 @@ class TelegramBot {
       return
     }
 
-    console.log(`\n🔍 [DATABASE] Querying routing for:`)
+    console.log(`\n🔍 [ROUTING] Looking up routing for:`)
     console.log(`   Group ID: ${groupId}`)
     console.log(`   Topic ID: ${topicId || "NULL"}`)
 
-    const routing = await this.database.getRouting(groupId, topicId)
-
-    if (routing) {
-      console.log(`   ✅ Found routing: ${routing.DC_Webhook.substring(0, 50)}...`)
-      console.log(`   Comment: ${routing.Comment || "No comment"}`)
-
-      console.log(`\n📨 [PROCESSING] Message from group ${groupId}, topic ${topicId || "N/A"}`)
-
-      try {
-        // Get sender information with fallback
-        console.log(`   🔍 Getting sender information...`)
-        let senderInfo
-        try {
-          const sender = await this.client.getEntity(message.fromId?.userId || message.fromId)
-          senderInfo = await this.extractSenderInfo(sender)
-        } catch (error) {
-          console.log(`   ⚠️ Could not get sender entity: ${error.message}`)
-          console.log(`   🔄 Using fallback sender information...`)
-          senderInfo = await this.createFallbackSenderInfo(message.fromId?.userId || message.fromId)
-        }
-
-        console.log(`   👤 Sender: ${senderInfo.displayName} (@${senderInfo.username})`)
-        console.log(`   🖼️ Avatar: ${senderInfo.avatarUrl ? "Available" : "Using default"}`)
+    const groupRoutings = await this.routes.getGroupRoutings(groupId)
+    const { routings, rule } = RoutingResolver.resolve(groupRoutings, topicId)
 
-        // Process message content
-        console.log(`   📝 Processing message content...`)
-        const messageData = await this.processMessage(message, senderInfo)
-        console.log(`   📊 Content length: ${messageData.content?.length || 0}`)
-        console.log(`   📎 Files: ${messageData.files?.length || 0}`)
-
-        // Forward to Discord
-        console.log(`   🚀 Forwarding to Discord...`)
-        await this.discordForwarder.sendMessage(routing.DC_Webhook, messageData)
-
-        console.log(`   ✅ Message forwarded successfully!`)
-      } catch (error) {
-        console.error(`   ❌ Error processing message: ${error.message}`)
-        console.error(`   📋 Error stack: ${error.stack}`)
-      }
+    if (routings.length > 0) {
+      console.log(`   📐 Matched by ${rule} rule(s)`)
+      await this.forwardMessage(message, groupId, topicId, routings)
     } else {
+      this.metrics?.unrouted.inc()
       console.log(`   ❌ No routing found`)
       console.log(`\n💡 [HELP] To add routing for this message:`)
-      console.log(
-        `   SQL: INSERT INTO routing (ID_Groups, ID_Topic, DC_Webhook, Comment) VALUES (${groupId}, ${topicId || "NULL"}, 'YOUR_WEBHOOK_URL', 'Optional comment');`,
-      )
+      for (const line of RoutingResolver.explain(groupRoutings, groupId, topicId)) {
+        console.log(`   ${line}`)
+      }
 
-      try {
-        const allRoutings = await this.database.getAllRoutings()
-        //console.log(`\n📋 [INFO] Current database routings:`)
-        if (allRoutings.length === 0) {
-          console.log(`   No routings configured yet`)
-        } else {
-          allRoutings.forEach((r, i) => {
-            //console.log(
-            //  `   ${i + 1}. Group: ${r.ID_Groups}, Topic: ${r.ID_Topic || "NULL"}, Webhook: ${r.DC_Webhook.substring(0, 30)}...`,
-            //)
-          })
-        }
-      } catch (error) {
-        console.log(`   ⚠️ Could not fetch existing routings: ${error.message}`)
+      if ((await this.routes.getAllRoutings()).length === 0) {
+        console.log(`   No routings configured yet`)
       }
     }
   }
@@ -254,6 +319,7 @@ class TelegramBot {
       console.log(`   ⏭️ Skipping outgoing message`)
       return
     }
+    this.metrics?.received.inc()
 
     console.log(`🔍 [DEBUG] New channel message received:`)
     console.log(`   Chat ID: ${message.peerId?.channelId || message.peerId?.chatId || message.peerId?.userId}`)
@@ -294,76 +360,555 @@ class TelegramBot {
       return
     }
 
-    console.log(`\n🔍 [DATABASE] Querying routing for:`)
+    console.log(`\n🔍 [ROUTING] Looking up routing for:`)
     console.log(`   Group ID: ${groupId}`)
     console.log(`   Topic ID: ${topicId || "NULL"}`)
 
-    const routing = await this.database.getRouting(groupId, topicId)
+    const groupRoutings = await this.routes.getGroupRoutings(groupId)
+    const { routings, rule } = RoutingResolver.resolve(groupRoutings, topicId)
+
+    if (routings.length > 0) {
+      console.log(`   📐 Matched by ${rule} rule(s)`)
+      await this.forwardMessage(message, groupId, topicId, routings)
+    } else {
+      this.metrics?.unrouted.inc()
+      console.log(`   ❌ No routing found`)
+      console.log(`\n💡 [HELP] To add routing for this message:`)
+      for (const line of RoutingResolver.explain(groupRoutings, groupId, topicId)) {
+        console.log(`   ${line}`)
+      }
+
+      if ((await this.routes.getAllRoutings()).length === 0) {
+        console.log(`   No routings configured yet`)
+      }
+    }
+  }
+
+  async forwardMessage(message, groupId, topicId, routings) {
+    console.log(`   ✅ Found ${routings.length} routing(s):`)
+    for (const routing of routings) {
+      console.log(`   → ${routing.DC_Webhook.substring(0, 50)}... (${routing.Comment || "No comment"})`)
+    }
+
+    // Service messages carry no content, topic edits are mirrored onto Discord threads
+    if (message.className === "MessageService") {
+      if (message.action?.className === "MessageActionTopicEdit") {
+        await this.handleTopicEdit(message, groupId, topicId, routings)
+      } else {
+        console.log(`   ⏭️ Skipping service message (${message.action?.className})`)
+      }
+      return
+    }
 
-    if (routing) {
-      console.log(`   ✅ Found routing: ${routing.DC_Webhook.substring(0, 50)}...`)
-      console.log(`   Comment: ${routing.Comment || "No comment"}`)
+    // Album parts arrive as separate updates, collect them before forwarding
+    if (message.groupedId) {
+      this.bufferAlbumMessage(message, groupId, topicId, routings)
+      return
+    }
+
+    await this.deliverMessages([message], groupId, topicId, routings)
+  }
 
-      console.log(`\n📨 [PROCESSING] Message from group ${groupId}, topic ${topicId || "N/A"}`)
+  bufferAlbumMessage(message, groupId, topicId, routings) {
+    const key = `${groupId}:${message.groupedId}`
 
+    let album = this.albumBuffers.get(key)
+    if (!album) {
+      album = { messages: [], groupId, topicId, routings, timer: null }
+      this.albumBuffers.set(key, album)
+    }
+
+    album.messages.push(message)
+    console.log(`   🖼️ Buffered album part ${album.messages.length} (grouped ID ${message.groupedId})`)
+
+    // Restart the window on every part, the album is sent once no more parts arrive
+    clearTimeout(album.timer)
+    album.timer = setTimeout(() => this.flushAlbum(key), this.albumBufferDelay)
+  }
+
+  async flushAlbum(key) {
+    const album = this.albumBuffers.get(key)
+    if (!album) {
+      return
+    }
+
+    clearTimeout(album.timer)
+    this.albumBuffers.delete(key)
+
+    album.messages.sort((a, b) => a.id - b.id)
+    console.log(`\n🖼️ [ALBUM] Forwarding ${album.messages.length} grouped message(s)`)
+    await this.deliverMessages(album.messages, album.groupId, album.topicId, album.routings)
+  }
+
+  async flushAlbums() {
+    await Promise.all([...this.albumBuffers.keys()].map((key) => this.flushAlbum(key)))
+  }
+
+  async deliverMessages(messages, groupId, topicId, routings) {
+    const [firstMessage] = messages
+
+    console.log(`\n📨 [PROCESSING] Message from group ${groupId}, topic ${topicId || "N/A"}`)
+
+    // Paused routes still match, so the message isn't reported as unrouted, but receive nothing
+    const paused = routings.filter((routing) => routing.Paused)
+    if (paused.length > 0) {
+      console.log(`   ⏸️ Skipping paused route(s) ${paused.map((routing) => `#${routing.id}`).join(", ")}`)
+      routings = routings.filter((routing) => !routing.Paused)
+      if (routings.length === 0) {
+        return
+      }
+    }
+
+    try {
+      // Get sender information with fallback
+      console.log(`   🔍 Getting sender information...`)
+      let sender = null
       try {
-        // Get sender information with fallback
-        console.log(`   🔍 Getting sender information...`)
-        let senderInfo
+        sender = await this.client.getEntity(firstMessage.fromId?.userId || firstMessage.fromId)
+      } catch (error) {
+        console.log(`   ⚠️ Could not get sender entity: ${error.message}`)
+      }
+
+      // Filter rules run before anything is downloaded
+      routings = await this.applyFilters(messages, sender, routings)
+      if (routings.length === 0) {
+        console.log(`   ⏭️ Message filtered out for every destination`)
+        return
+      }
+      for (const routing of routings) {
+        this.metrics?.routed.inc({ route: routing.id })
+      }
+
+      let senderInfo
+      if (sender) {
+        senderInfo = await this.extractSenderInfo(sender)
+      } else {
+        console.log(`   🔄 Using fallback sender information...`)
+        senderInfo = await this.createFallbackSenderInfo(firstMessage.fromId?.userId || firstMessage.fromId)
+      }
+
+      console.log(`   👤 Sender: ${senderInfo.displayName} (@${senderInfo.username})`)
+      console.log(`   🖼️ Avatar: ${senderInfo.avatarUrl ? "Available" : "Using default"}`)
+
+      // Process message content once, media is downloaded and watermarked a single time for all destinations
+      console.log(`   📝 Processing message content...`)
+      const parts = []
+      for (const message of messages) {
+        const data = await this.processMessage(message, senderInfo)
+        data.files = data.files.map((file) => ({ ...file, messageId: message.id }))
+        parts.push({ message, data })
+      }
+
+      // Telegram puts an album caption on just one of its parts
+      const captioned = parts.find((part) => part.message.message) || parts[0]
+      const mediaNotice = parts.some((part) => part.data.mediaFailed) ? "\n[Media could not be processed]" : ""
+      const messageData = {
+        ...captioned.data,
+        content: captioned.data.content + mediaNotice,
+        files: parts.flatMap((part) => part.data.files),
+      }
+      console.log(`   📊 Content length: ${messageData.content?.length || 0}`)
+      console.log(`   📎 Files: ${messageData.files?.length || 0}`)
+
+      // Rewrite rules, embeds and threads are per route, group/topic names are looked up once when needed
+      const transforms = await this.routes.getRoutingTransforms(routings.map((routing) => routing.id))
+      const needsEmbeds = routings.some((routing) => this.getOutputMode(routing) !== "plain")
+      const needsContext = transforms.length > 0 || needsEmbeds || routings.some((routing) => routing.Thread_Mode)
+      const context = needsContext ? await this.getMessageContext(captioned.message, senderInfo, topicId) : {}
+      if (needsEmbeds) {
+        messageData.embedFooter = [context.group, context.topic].filter(Boolean).join(" • ")
+        messageData.timestamp = new Date(captioned.message.date * 1000).toISOString()
+      }
+
+      // Where the message came from and what was typed, kept with it in the message archive
+      const source = {
+        text: captioned.message.message || "",
+        topicId,
+        senderId: sender?.id?.toString() ?? firstMessage.fromId?.userId?.toString() ?? null,
+        senderUsername: sender?.username || null,
+        sentAt: new Date(captioned.message.date * 1000),
+      }
+
+      // Forward to Discord through the persistent queue so nothing is lost if delivery fails
+      console.log(`   🚀 Forwarding to ${routings.length} Discord destination(s)...`)
+      let queued = 0
+      for (const routing of routings) {
+        // A failing destination must not keep the others from getting the message
         try {
-          const sender = await this.client.getEntity(message.fromId?.userId || message.fromId)
-          senderInfo = await this.extractSenderInfo(sender)
+          const routingTransforms = transforms.filter((transform) => transform.Routing_ID === routing.id)
+          const destinationData = {
+            ...messageData,
+            content:
+              routingTransforms.length > 0
+                ? (await this.buildContent(captioned.message, routingTransforms, context)) + mediaNotice
+                : messageData.content,
+            allowMentions: !!routing.Allow_Mentions,
+            outputMode: this.getOutputMode(routing),
+            embedColor: routing.Embed_Color,
+            thread: routing.Thread_Mode ? this.getThreadTarget(topicId, context.topic) : null,
+            reply: await this.getReplyContext(captioned.message, groupId, topicId, routing.DC_Webhook),
+          }
+          await this.deliveryQueue.enqueue(routing, groupId, captioned.message.id, destinationData, source)
+          queued++
         } catch (error) {
-          console.log(`   ⚠️ Could not get sender entity: ${error.message}`)
-          console.log(`   🔄 Using fallback sender information...`)
-          senderInfo = await this.createFallbackSenderInfo(message.fromId?.userId || message.fromId)
+          console.error(`   ❌ Could not queue message for ${routing.DC_Webhook.substring(0, 50)}...: ${error.message}`)
         }
+      }
 
-        console.log(`   👤 Sender: ${senderInfo.displayName} (@${senderInfo.username})`)
-        console.log(`   🖼️ Avatar: ${senderInfo.avatarUrl ? "Available" : "Using default"}`)
+      // Every destination holds its own copy of the files now
+      await this.discordForwarder.cleanupTempFiles(messageData)
 
-        // Process message content
-        console.log(`   📝 Processing message content...`)
-        const messageData = await this.processMessage(message, senderInfo)
-        console.log(`   📊 Content length: ${messageData.content?.length || 0}`)
-        console.log(`   📎 Files: ${messageData.files?.length || 0}`)
+      // Where catch-up continues after downtime
+      if (queued > 0) {
+        await this.database.saveChatCursor(groupId, topicId, Math.max(...messages.map((message) => message.id)))
+      }
+
+      console.log(`   ✅ Message queued for ${queued}/${routings.length} destination(s)!`)
+    } catch (error) {
+      console.error(`   ❌ Error processing message: ${error.message}`)
+      console.error(`   📋 Error stack: ${error.stack}`)
+    }
+  }
+
+  async applyFilters(messages, sender, routings) {
+    const filters = await this.routes.getRoutingFilters(routings.map((routing) => routing.id))
+    if (filters.length === 0) {
+      return routings
+    }
+
+    const context = {
+      text: messages.map((message) => message.message || "").join("\n"),
+      senderId: sender?.id?.toString() ?? (messages[0].fromId?.userId || messages[0].fromId)?.toString(),
+      senderUsername: sender?.username || null,
+      isBot: !!sender?.bot,
+      mediaTypes: messages.map((message) => MessageFilter.getMediaType(message)),
+    }
 
-        // Forward to Discord
-        console.log(`   🚀 Forwarding to Discord...`)
-        await this.discordForwarder.sendMessage(routing.DC_Webhook, messageData)
+    const allowed = []
+    for (const routing of routings) {
+      const rules = filters.filter((rule) => rule.Routing_ID === routing.id)
+      const result = MessageFilter.evaluate(rules, context)
+      if (result.allowed) {
+        allowed.push(routing)
+      } else {
+        this.metrics?.filtered.inc({ route: routing.id })
+        console.log(`   ⏭️ Skipped for routing #${routing.id}: ${result.reason}`)
+      }
+    }
 
-        console.log(`   ✅ Message forwarded successfully!`)
+    return allowed
+  }
+
+  async handleEditedMessage(update) {
+    const message = update.message
+    if (!message || message.out) {
+      return
+    }
+
+    // View counter and reaction updates also arrive as edits, only real edits carry editDate
+    if (!message.editDate) {
+      return
+    }
+
+    const groupId = this.getBridgeChatId(message.peerId)
+    if (!groupId) {
+      return
+    }
+
+    // The archive keeps the latest text, also of messages still waiting in the queue
+    await this.database.updateArchiveContent(groupId, message.id, message.message)
+
+    // Album parts without the caption only share a Discord message, editing with their empty text would wipe it
+    const mappings = (await this.database.getMessageMappings(groupId, message.id)).filter(
+      (mapping) => mapping.Has_Text,
+    )
+    if (mappings.length === 0) {
+      return
+    }
+
+    console.log(`\n✏️ [EDIT] Message ${message.id} edited in group ${groupId}, updating ${mappings.length} Discord message(s)`)
+
+    // Mappings are stored in send order, edit each webhook's messages together
+    const byWebhook = new Map()
+    for (const mapping of mappings) {
+      if (!byWebhook.has(mapping.DC_Webhook)) {
+        byWebhook.set(mapping.DC_Webhook, [])
+      }
+      byWebhook.get(mapping.DC_Webhook).push(mapping)
+    }
+
+    const topicId = message.replyTo?.replyToTopId || (message.replyTo?.forumTopic ? message.replyTo.replyToMsgId : null)
+    const routingIds = [...new Set(mappings.map((mapping) => mapping.Routing_ID).filter(Boolean))]
+    const transforms = await this.routes.getRoutingTransforms(routingIds)
+    let context = {}
+    if (transforms.length > 0) {
+      let sender = null
+      try {
+        sender = await message.getSender()
       } catch (error) {
-        console.error(`   ❌ Error processing message: ${error.message}`)
-        console.error(`   📋 Error stack: ${error.stack}`)
+        console.log(`   ⚠️ Could not get sender entity: ${error.message}`)
+      }
+      context = await this.getMessageContext(message, this.getSenderNames(sender), topicId)
+    }
+
+    for (const [webhookUrl, webhookMappings] of byWebhook) {
+      try {
+        const routingId = webhookMappings[0].Routing_ID
+        const messageData = {
+          content: await this.buildContent(
+            message,
+            transforms.filter((transform) => transform.Routing_ID === routingId),
+            context,
+          ),
+          allowMentions: !!webhookMappings[0].Allow_Mentions,
+          outputMode: this.getOutputMode(webhookMappings[0]),
+          reply: await this.getReplyContext(message, groupId, topicId, webhookUrl),
+        }
+        const messageIds = webhookMappings.map((mapping) => mapping.DC_Message_ID)
+        const deletedIds = await this.discordForwarder.editMessages(webhookUrl, messageIds, messageData)
+
+        for (const mapping of webhookMappings.filter((m) => deletedIds.includes(m.DC_Message_ID))) {
+          await this.database.deleteMessageMapping(mapping.id)
+        }
+      } catch (error) {
+        console.error(`   ❌ Error updating Discord messages for ${webhookUrl.substring(0, 50)}...: ${error.message}`)
+      }
+    }
+  }
+
+  async handleDeletedMessages(messageIds, groupId) {
+    for (const messageId of messageIds || []) {
+      const mappings =
+        groupId !== null
+          ? await this.database.getMessageMappings(groupId, messageId)
+          : await this.database.getNonChannelMessageMappings(messageId)
+
+      if (mappings.length === 0) {
+        continue
+      }
+
+      console.log(`\n🗑️ [DELETE] Message ${messageId} deleted, removing ${mappings.length} Discord message(s)`)
+
+      for (const mapping of mappings) {
+        try {
+          // An album message stays on Discord until every part it shows is deleted
+          const parts = await this.database.countMessageMappings(mapping.DC_Message_ID)
+          if (parts > 1) {
+            console.log(`   🖼️ Discord message ${mapping.DC_Message_ID} still shows ${parts - 1} other album part(s)`)
+          } else {
+            await this.discordForwarder.deleteMessage(mapping.DC_Webhook, mapping.DC_Message_ID)
+          }
+          await this.database.deleteMessageMapping(mapping.id)
+        } catch (error) {
+          console.error(`   ❌ Error deleting Discord message ${mapping.DC_Message_ID}: ${error.message}`)
+        }
+      }
+    }
+  }
+
+  async getReplyContext(message, groupId, topicId, webhookUrl) {
+    const replyTo = message.replyTo
+    const replyToMsgId = replyTo?.replyToMsgId
+    if (!replyToMsgId) {
+      return null
+    }
+
+    // Replies to another chat are not quoted
+    if (replyTo.replyToPeerId) {
+      return null
+    }
+
+    // Posting into a forum topic is a reply to the topic root, not to a real message
+    if (replyToMsgId === topicId || (replyTo.forumTopic && !replyTo.replyToTopId)) {
+      return null
+    }
+
+    const reply = {
+      author: "Unknown User",
+      excerpt: "",
+      link: null,
+    }
+
+    try {
+      const [repliedMessage] = await this.client.getMessages(message.peerId, { ids: replyToMsgId })
+      if (repliedMessage) {
+        const sender = await repliedMessage.getSender()
+        if (sender) {
+          reply.author = [sender.firstName || sender.title, sender.lastName].filter(Boolean).join(" ") || reply.author
+        }
+        reply.excerpt = replyTo.quoteText || repliedMessage.message || (repliedMessage.media ? "[Media]" : "")
+      }
+    } catch (error) {
+      console.log(`   ⚠️ Could not fetch replied message ${replyToMsgId}: ${error.message}`)
+    }
+
+    reply.author = MarkdownConverter.escapeText(reply.author)
+    reply.excerpt = MarkdownConverter.escapeText(this.truncateExcerpt(reply.excerpt))
+
+    // Link to the Discord copy of the original when it was bridged to the same webhook
+    const mappings = await this.database.getMessageMappings(groupId, replyToMsgId)
+    // Thread-mode mappings carry the thread in the URL, so compare the webhooks themselves
+    const webhookKey = this.discordForwarder.getWebhookKey(webhookUrl)
+    const mapping = mappings.find((m) => this.discordForwarder.getWebhookKey(m.DC_Webhook) === webhookKey)
+    if (mapping) {
+      reply.link = await this.discordForwarder.getMessageLink(webhookUrl, mapping.DC_Channel_ID, mapping.DC_Message_ID)
+    }
+
+    return reply
+  }
+
+  truncateExcerpt(text, maxLength = 100) {
+    const singleLine = (text || "").replace(/\s+/g, " ").trim()
+    if (singleLine.length <= maxLength) {
+      return singleLine
+    }
+    return singleLine.substring(0, maxLength - 1).trimEnd() + "…"
+  }
+
+  getMessageTopicId(message, isForum) {
+    // Messages read from history: replies inside a topic name it in replyToTopId,
+    // other messages posted to a topic reply to its root
+    const replyTo = message.replyTo
+    if (!isForum || !replyTo) {
+      return null
+    }
+    if (replyTo.replyToTopId) {
+      return replyTo.replyToTopId
+    }
+    return replyTo.forumTopic ? replyTo.replyToMsgId : null
+  }
+
+  getThreadTarget(topicId, topicTitle) {
+    // Messages outside any topic belong to the forum's General topic
+    const threadTopicId = topicId || 1
+    return {
+      topicId: threadTopicId,
+      name: topicTitle || (threadTopicId === 1 ? "General" : `Topic ${threadTopicId}`),
+    }
+  }
+
+  async handleTopicEdit(message, groupId, topicId, routings) {
+    const action = message.action
+    const threadTopicId = topicId || 1
+
+    if (action.title) {
+      this.topicTitles.set(`${groupId}:${threadTopicId}`, action.title)
+    }
+
+    for (const routing of routings.filter((r) => r.Thread_Mode)) {
+      // Threads are created on first use, a topic that never got a message has nothing to update
+      const thread = await this.database.getTopicThread(routing.id, threadTopicId)
+      if (!thread) {
+        continue
+      }
+
+      const threadUrl = this.discordForwarder.getThreadUrl(routing.DC_Webhook, thread.DC_Thread_ID)
+      const renamed = !!action.title && action.title !== thread.Thread_Name
+      const closed = action.closed === undefined ? !!thread.Closed : !!action.closed
+      const notices = []
+
+      if (renamed) {
+        notices.push(`✏️ Topic renamed to **${MarkdownConverter.escapeText(action.title, false)}**`)
+        await this.discordForwarder.updateThread(thread.DC_Thread_ID, { name: action.title.substring(0, 100) })
+      }
+      if (closed !== !!thread.Closed) {
+        notices.push(closed ? "🔒 Topic closed on Telegram" : "🔓 Topic reopened on Telegram")
+      }
+      if (notices.length === 0) {
+        continue
       }
-    } else {
-      console.log(`   ❌ No routing found`)
 
-      //console.log(`\n💡 [HELP] To add routing for this message:`)
-      //console.log(
-      //  `   SQL: INSERT INTO routing (ID_Groups, ID_Topic, DC_Webhook, Comment) VALUES (${groupId}, ${topicId || "NULL"}, 'YOUR_WEBHOOK_URL', 'Optional comment');`,
-      //)
+      await this.database.updateTopicThread(thread.id, renamed ? action.title : thread.Thread_Name, closed)
 
       try {
-        const allRoutings = await this.database.getAllRoutings()
-        //console.log(`\n📋 [INFO] Current database routings:`)
-        if (allRoutings.length === 0) {
-          console.log(`   No routings configured yet`)
-        } else {
-          allRoutings.forEach((r, i) => {
-            //console.log(
-            //  `   ${i + 1}. Group: ${r.ID_Groups}, Topic: ${r.ID_Topic || "NULL"}, Webhook: ${r.DC_Webhook.substring(0, 30)}...`,
-            //)
-          })
+        // A reopened thread is unlocked before the notice, a closed one is locked after it
+        if (!closed && thread.Closed) {
+          await this.discordForwarder.updateThread(thread.DC_Thread_ID, { archived: false, locked: false })
         }
+        await this.discordForwarder.sendMessage(threadUrl, {
+          username: process.env.BDN || "Bridge",
+          content: notices.join("\n"),
+        })
+        if (closed && !thread.Closed) {
+          await this.discordForwarder.updateThread(thread.DC_Thread_ID, { archived: true, locked: true })
+        }
+        console.log(`   🧵 Topic ${threadTopicId} changes carried over to thread ${thread.DC_Thread_ID}`)
       } catch (error) {
-        console.log(`   ⚠️ Could not fetch existing routings: ${error.message}`)
+        console.error(`   ❌ Could not update thread ${thread.DC_Thread_ID}: ${error.message}`)
       }
     }
   }
 
+  getOutputMode(routing) {
+    return ["embed", "hybrid"].includes(routing.Output_Mode) ? routing.Output_Mode : "plain"
+  }
+
+  async getMessageContext(message, senderInfo, topicId) {
+    return {
+      sender: senderInfo.displayName,
+      username: senderInfo.username,
+      group: await this.getChatTitle(message.peerId),
+      topic: topicId ? await this.getTopicTitle(message.peerId, topicId) : null,
+      date: new Date(message.date * 1000).toISOString().replace("T", " ").substring(0, 16),
+    }
+  }
+
+  async getChatTitle(peerId) {
+    try {
+      const chat = await this.client.getEntity(peerId)
+      return chat.title || [chat.firstName, chat.lastName].filter(Boolean).join(" ") || null
+    } catch (error) {
+      console.log(`   ⚠️ Could not get chat title: ${error.message}`)
+      return null
+    }
+  }
+
+  async getTopicTitle(peerId, topicId) {
+    const key = `${this.getBridgeChatId(peerId)}:${topicId}`
+    if (this.topicTitles.has(key)) {
+      return this.topicTitles.get(key)
+    }
+
+    try {
+      const result = await this.client.invoke(
+        new Api.channels.GetForumTopicsByID({
+          channel: await this.client.getInputEntity(peerId),
+          topics: [Number(topicId)],
+        }),
+      )
+      const title = result.topics?.[0]?.title || null
+      this.topicTitles.set(key, title)
+      return title
+    } catch (error) {
+      console.log(`   ⚠️ Could not get topic title for topic ${topicId}: ${error.message}`)
+      return null
+    }
+  }
+
+  getBridgeChatId(peerId) {
+    if (peerId?.channelId) {
+      // For supergroups/channels, use negative ID format
+      return -1000000000000 - peerId.channelId
+    } else if (peerId?.chatId) {
+      // For regular groups, use negative ID
+      return -peerId.chatId
+    } else if (peerId?.userId) {
+      // For private messages, use positive ID
+      return Number(peerId.userId)
+    }
+    return null
+  }
+
   async createFallbackSenderInfo(userId) {
+    const senderInfo = {
+      username: `user_${userId || "unknown"}`,
+      displayName: `User ${userId || "Unknown"}`,
+      avatarUrl: null,
+    }
+    if (await this.applyUserMapping(senderInfo, userId)) {
+      return senderInfo
+    }
+
     const host = process.env.HOST || "localhost"
     const port = process.env.PORT || 3000
 
@@ -394,11 +939,35 @@ class TelegramBot {
       console.log(`   ⚠️ Error setting up default avatar: ${error.message}`)
     }
 
-    return {
-      username: `user_${userId || "unknown"}`,
-      displayName: `User ${userId || "Unknown"}`,
-      avatarUrl: avatarUrl,
+    senderInfo.avatarUrl = avatarUrl
+    return senderInfo
+  }
+
+  async applyUserMapping(senderInfo, userId) {
+    // Members mapped to a Discord account appear under their Discord identity, true when that includes the avatar
+    const mapping = /^\d+$/.test(String(userId ?? "")) ? await this.database.getUserMapping(userId) : null
+    if (mapping?.DC_Display_Name) {
+      senderInfo.displayName = mapping.DC_Display_Name
+    }
+    if (mapping?.DC_Avatar_URL) {
+      senderInfo.avatarUrl = mapping.DC_Avatar_URL
+      console.log(`   🔗 Using mapped Discord identity for ${senderInfo.username}`)
+      return true
+    }
+    return false
+  }
+
+  getSenderNames(sender) {
+    if (!sender) {
+      return { username: "Unknown User", displayName: "Unknown User" }
+    }
+
+    let displayName = sender.firstName || sender.title || "Unknown User"
+    if (sender.lastName) {
+      displayName += ` ${sender.lastName}`
     }
+
+    return { username: sender.username || `user_${sender.id}`, displayName }
   }
 
   async extractSenderInfo(sender) {
@@ -410,11 +979,10 @@ class TelegramBot {
 
     if (sender) {
       // Get username and display name
-      senderInfo.username = sender.username || `user_${sender.id}`
-      senderInfo.displayName = sender.firstName || sender.title || "Unknown User"
+      Object.assign(senderInfo, this.getSenderNames(sender))
 
-      if (sender.lastName) {
-        senderInfo.displayName += ` ${sender.lastName}`
+      if (await this.applyUserMapping(senderInfo, sender.id)) {
+        return senderInfo
       }
 
       // Get profile photo
@@ -462,9 +1030,7 @@ class TelegramBot {
     }
 
     // Process text content
-    if (message.message) {
-      messageData.content = message.message
-    }
+    messageData.content = await this.buildContent(message)
 
     // Process media
     if (message.media) {
@@ -472,7 +1038,9 @@ class TelegramBot {
         const mediaData = await this.processMedia(message.media, message.id)
         if (mediaData) {
           if (mediaData.type === "photo") {
+            const endTimer = this.metrics?.watermarkSeconds.startTimer()
             const watermarkedPath = await this.imageProcessor.processImage(mediaData.path)
+            endTimer?.()
             messageData.files.push({
               name: mediaData.filename,
               path: watermarkedPath,
@@ -494,20 +1062,74 @@ class TelegramBot {
         }
       } catch (error) {
         console.error("Error processing media:", error.message)
-        messageData.content += "\n[Media could not be processed]"
+        messageData.mediaFailed = true
       }
     }
 
     return messageData
   }
 
+  async buildContent(message, transforms = [], context = {}) {
+    const { mentions, userMentions } = await this.getMentionReplacements(message)
+    return TextTransformer.apply(message.message || "", message.entities, transforms, context, { mentions, userMentions })
+  }
+
+  async getMentionReplacements(message) {
+    const entities = message.entities || []
+    const handles = [
+      ...new Set(
+        entities
+          .filter((entity) => entity.className === "MessageEntityMention")
+          .map((entity) => message.message.substr(entity.offset + 1, entity.length - 1).toLowerCase()),
+      ),
+    ]
+    // Users without a username are mentioned by ID
+    const userIds = [
+      ...new Set(
+        entities
+          .filter((entity) => entity.className === "MessageEntityMentionName")
+          .map((entity) => String(entity.userId)),
+      ),
+    ]
+
+    const mentions = new Map()
+    const userMentions = new Map()
+    if (handles.length === 0 && userIds.length === 0) {
+      return { mentions, userMentions }
+    }
+
+    // Rows that only map a handle (e.g. to a role) are applied last, so they win over a member's own username
+    const mappings = await this.database.findUserMappings(userIds, handles)
+    mappings.sort((a, b) => (a.TG_User_ID === null) - (b.TG_User_ID === null))
+    for (const mapping of mappings) {
+      if (!mapping.DC_User_ID) continue
+
+      const mention = mapping.Mention_Type === "role" ? `<@&${mapping.DC_User_ID}>` : `<@${mapping.DC_User_ID}>`
+      if (mapping.TG_Username) {
+        mentions.set(mapping.TG_Username, mention)
+      }
+      if (mapping.TG_User_ID !== null) {
+        userMentions.set(String(mapping.TG_User_ID), mention)
+      }
+    }
+
+    return { mentions, userMentions }
+  }
+
+  async downloadMedia(media) {
+    const endTimer = this.metrics?.downloadSeconds.startTimer()
+    const buffer = await this.client.downloadMedia(media)
+    endTimer?.()
+    return buffer
+  }
+
   async processMedia(media, messageId) {
     const tempDir = path.join(__dirname, "../temp")
     await fs.mkdir(tempDir, { recursive: true })
 
     try {
       if (media.className === "MessageMediaPhoto") {
-        const buffer = await this.client.downloadMedia(media)
+        const buffer = await this.downloadMedia(media)
         const filename = `photo_${messageId}_${Date.now()}.jpg`
         const filePath = path.join(tempDir, filename)
         await fs.writeFile(filePath, buffer)
@@ -519,7 +1141,7 @@ class TelegramBot {
         }
       } else if (media.className === "MessageMediaDocument") {
         const document = media.document
-        const buffer = await this.client.downloadMedia(media)
+        const buffer = await this.downloadMedia(media)
 
         let filename = `file_${messageId}_${Date.now()}`
         let type = "document"
@@ -563,6 +1185,7 @@ class TelegramBot {
     }
 
     this.reconnectAttempts++
+    this.metrics?.reconnects.inc()
     console.log(`🔄 Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`)
 
     await new Promise((resolve) => setTimeout(resolve, this.reconnectDelay))
@@ -580,6 +1203,9 @@ class TelegramBot {
 
   async disconnect() {
     try {
+      // Send albums still waiting in the buffer window
+      await this.flushAlbums()
+
       if (this.client && this.isConnected) {
         await this.client.disconnect()
         console.log("📦 Telegram client disconnected")
@@ -589,8 +1215,46 @@ class TelegramBot {
     }
   }
 
+  async listDialogs() {
+    // Chats of the account with their ID in bridge format
+    const dialogs = await this.client.getDialogs({})
+    return dialogs
+      .map((dialog) => ({
+        id: this.getBridgeChatId(dialog.dialog.peer),
+        title: dialog.title || dialog.name || "",
+        type: dialog.isUser ? "user" : dialog.isGroup ? (dialog.entity?.forum ? "forum" : "group") : "channel",
+      }))
+      .filter((dialog) => dialog.id !== null)
+  }
+
+  async getDialogChatIds() {
+    return new Set((await this.listDialogs()).map((dialog) => dialog.id))
+  }
+
+  async getForumTopics(groupId) {
+    const channel = await this.client.getInputEntity(groupId)
+    const topics = []
+    let offset = { offsetDate: 0, offsetId: 0, offsetTopic: 0 }
+
+    // Topics come in pages, each continuing after the last topic's top message
+    while (true) {
+      const result = await this.client.invoke(new Api.channels.GetForumTopics({ channel, ...offset, limit: 100 }))
+      for (const topic of result.topics.filter((topic) => topic.className === "ForumTopic")) {
+        topics.push({ id: topic.id, title: topic.title, closed: !!topic.closed })
+        this.topicTitles.set(`${groupId}:${topic.id}`, topic.title)
+      }
+
+      const last = result.topics[result.topics.length - 1]
+      if (!last || result.topics.length < 100 || topics.length >= result.count) {
+        return topics
+      }
+      const lastMessage = result.messages.find((message) => message.id === last.topMessage)
+      offset = { offsetDate: lastMessage?.date || 0, offsetId: last.topMessage, offsetTopic: last.id }
+    }
+  }
+
   isReady() {
-    return this.isConnected && this.client
+    return !!(this.isConnected && this.client)
   }
 }
 
@@ -0,0 +1,165 @@
+const MarkdownConverter = require("./markdown-converter")
+
+class TextTransformer {
+  static apply(text, entities, rules, context = {}, options = {}) {
+    // Rewrites run on the Telegram text and entities before conversion, so patterns match what the sender typed
+    // and cuts can't leave an escape or span half open. Prefix and suffix templates are markdown and wrap the result.
+    let state = { text: text || "", entities: [...(entities || [])] }
+    const prefixes = []
+    const suffixes = []
+
+    for (const rule of [...rules].sort((a, b) => a.Position - b.Position || a.id - b.id)) {
+      try {
+        if (rule.Transform_Type === "prefix") {
+          prefixes.unshift(TextTransformer.renderTemplate(rule.Replacement, context))
+        } else if (rule.Transform_Type === "suffix") {
+          suffixes.push(TextTransformer.renderTemplate(rule.Replacement, context))
+        } else {
+          state = TextTransformer.applyRule(state, rule)
+        }
+      } catch (error) {
+        console.log(`   ⚠️ Transform rule #${rule.id} failed: ${error.message}`)
+      }
+    }
+
+    return prefixes.join("") + MarkdownConverter.toDiscord(state.text, state.entities, options) + suffixes.join("")
+  }
+
+  static applyRule(state, rule) {
+    switch (rule.Transform_Type) {
+      case "replace":
+        return TextTransformer.replaceText(
+          state,
+          TextTransformer.compileRegex(rule.Pattern),
+          TextTransformer.unescapeReplacement(rule.Replacement || ""),
+        )
+      case "strip_domains":
+        return TextTransformer.stripDomains(state, rule.Pattern)
+      case "max_length":
+        return TextTransformer.truncate(state, Number.parseInt(rule.Pattern))
+      default:
+        console.log(`   ⚠️ Unknown transform type "${rule.Transform_Type}" in rule #${rule.id}`)
+        return state
+    }
+  }
+
+  static compileRegex(pattern) {
+    // /pattern/flags, or a bare pattern replaced everywhere
+    const literal = String(pattern || "").match(/^\/(.*)\/([a-z]*)$/s)
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, "g")
+  }
+
+  static unescapeReplacement(replacement) {
+    // Lets a replacement stored in SQL contain line breaks
+    return replacement.replace(/\\n/g, "\n")
+  }
+
+  static renderTemplate(template, context) {
+    // Placeholder values come from Telegram and are escaped, the template itself is trusted markdown
+    return TextTransformer.unescapeReplacement(template || "").replace(/\{(sender|username|group|topic|date)\}/g, (match, key) =>
+      context[key] !== undefined && context[key] !== null ? MarkdownConverter.escapeText(String(context[key]), false) : "",
+    )
+  }
+
+  static replaceText(state, regex, replacement) {
+    const edits = []
+    const text = state.text.replace(regex, (...args) => {
+      // The callback gets the match, its groups, the offset, the whole text and, with named groups, their values
+      const named = typeof args[args.length - 1] === "object" ? args.pop() : undefined
+      const source = args.pop()
+      const offset = args.pop()
+      const [match, ...groups] = args
+      const value = TextTransformer.expandReplacement(replacement, match, groups, named, offset, source)
+
+      edits.push({ start: offset, end: offset + match.length, length: value.length })
+      return value
+    })
+
+    return { text, entities: TextTransformer.moveEntities(state.entities, edits) }
+  }
+
+  static expandReplacement(replacement, match, groups, named, offset, source) {
+    // Same $ patterns as String.prototype.replace, done by hand so the length of each replacement is known
+    return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<[^>]*>)/g, (token, key) => {
+      if (key === "$") return "$"
+      if (key === "&") return match
+      if (key === "`") return source.slice(0, offset)
+      if (key === "'") return source.slice(offset + match.length)
+      if (key.startsWith("<")) return named ? (named[key.slice(1, -1)] ?? "") : token
+
+      const index = Number(key)
+      if (index >= 1 && index <= groups.length) return groups[index - 1] ?? ""
+      // $12 with fewer than 12 groups is $1 followed by 2
+      const single = Number(key[0])
+      if (key.length === 2 && single >= 1 && single <= groups.length) return (groups[single - 1] ?? "") + key[1]
+      return token
+    })
+  }
+
+  static moveEntities(entities, edits) {
+    // Edits are in text order, an entity edge inside a replaced range moves to that end of the replacement
+    const move = (position, isEnd) => {
+      let shift = 0
+      for (const edit of edits) {
+        if (position < edit.end || (isEnd && position === edit.start)) {
+          if (position > edit.start) {
+            return edit.start + shift + (isEnd ? edit.length : 0)
+          }
+          break
+        }
+        shift += edit.length - (edit.end - edit.start)
+      }
+      return position + shift
+    }
+
+    return entities
+      .map((entity) => {
+        const offset = move(entity.offset, false)
+        return { ...entity, offset, length: move(entity.offset + entity.length, true) - offset }
+      })
+      .filter((entity) => entity.length > 0)
+  }
+
+  static stripDomains(state, domains) {
+    let result = state
+
+    for (const domain of String(domains || "")
+      .split(",")
+      .map((d) => d.trim().toLowerCase())
+      .filter(Boolean)) {
+      const host = `(?:https?:\\/\\/)?(?:[\\w-]+\\.)*${domain.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`
+
+      // Text links keep their text, bare URLs are removed
+      const linked = new RegExp(`^${host}(?:[/?#]|$)`, "i")
+      result = {
+        text: result.text,
+        entities: result.entities.filter(
+          (entity) => entity.className !== "MessageEntityTextUrl" || !linked.test(entity.url || ""),
+        ),
+      }
+      result = TextTransformer.replaceText(result, new RegExp(`(?<![\\w.-])${host}(?:[/?#]\\S*)?`, "gi"), "")
+    }
+
+    result = TextTransformer.replaceText(result, /[ \t]{2,}/g, " ")
+    return TextTransformer.replaceText(result, /[ \t]+$/gm, "")
+  }
+
+  static truncate(state, maxLength) {
+    if (!maxLength || state.text.length <= maxLength) {
+      return state
+    }
+
+    let end = maxLength - 1
+    if (/[\uD800-\uDBFF]/.test(state.text[end - 1])) {
+      end--
+    }
+    const text = state.text.substring(0, end).trimEnd()
+    const entities = state.entities
+      .map((entity) => ({ ...entity, length: Math.min(entity.offset + entity.length, text.length) - entity.offset }))
+      .filter((entity) => entity.length > 0)
+
+    return { text: text + "…", entities }
+  }
+}
+
+module.exports = TextTransformer
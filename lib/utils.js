@@ -1,5 +1,6 @@
 const fs = require("fs").promises
 const path = require("path")
+const { getStorageBackend } = require("./storage")
 
 class Utils {
   static async ensureDirectoryExists(dirPath) {
@@ -32,6 +33,22 @@ class Utils {
     }
   }
 
+  static async getDirectorySize(directory) {
+    let total = 0
+    try {
+      for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+        const entryPath = path.join(directory, entry.name)
+        total += entry.isDirectory() ? await Utils.getDirectorySize(entryPath) : (await fs.stat(entryPath)).size
+      }
+    } catch (error) {
+      // Files removed by a cleanup while counting are simply left out
+      if (error.code !== "ENOENT") {
+        console.error(`Error measuring ${directory}:`, error.message)
+      }
+    }
+    return total
+  }
+
   static formatFileSize(bytes) {
     if (bytes === 0) return "0 Bytes"
 
@@ -69,10 +86,7 @@ class Utils {
       "TELEGRAM_API_ID",
       "TELEGRAM_API_HASH",
       "TELEGRAM_PHONE", // Added TELEGRAM_PHONE as required
-      "MYSQL_HOST",
-      "MYSQL_USER",
-      "MYSQL_PASSWORD",
-      "MYSQL_DATABASE",
+      ...(getStorageBackend() === "mysql" ? ["MYSQL_HOST", "MYSQL_USER", "MYSQL_PASSWORD", "MYSQL_DATABASE"] : []),
       "SW", // Start webhook message
       "BDN", // Bot default name
     ]
@@ -120,6 +134,62 @@ class Utils {
     return new Date().toISOString().replace("T", " ").substring(0, 19)
   }
 
+  static toCsv(rows, columns) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? "" : String(value)
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+
+    const lines = [columns.join(",")]
+    for (const row of rows) {
+      lines.push(columns.map((column) => escape(row[column])).join(","))
+    }
+    return lines.join("\n") + "\n"
+  }
+
+  static parseCsv(text) {
+    // RFC 4180: quoted fields may contain commas, line breaks and doubled quotes
+    const records = []
+    let record = []
+    let field = ""
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i]
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else if (char === '"') {
+          quoted = false
+        } else {
+          field += char
+        }
+      } else if (char === '"') {
+        quoted = true
+      } else if (char === ",") {
+        record.push(field)
+        field = ""
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++
+        record.push(field)
+        records.push(record)
+        record = []
+        field = ""
+      } else {
+        field += char
+      }
+    }
+    if (field || record.length > 0) {
+      record.push(field)
+      records.push(record)
+    }
+
+    // The first record holds the column names
+    const [header = [], ...rows] = records.filter((r) => r.some((value) => value !== ""))
+    return rows.map((row) => Object.fromEntries(header.map((column, index) => [column.trim(), row[index] ?? ""])))
+  }
+
   static async logError(error, context = "") {
     const logDir = path.join(__dirname, "../logs")
     await Utils.ensureDirectoryExists(logDir)
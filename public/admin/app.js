@@ -0,0 +1,254 @@
+const state = { routes: [], stats: new Map(), editing: null, events: null, refreshTimer: null, pendingRefresh: null }
+
+const $ = (id) => document.getElementById(id)
+
+function el(tag, attributes = {}, ...children) {
+  const element = document.createElement(tag)
+  for (const [key, value] of Object.entries(attributes)) {
+    if (key.startsWith("on")) {
+      element.addEventListener(key.substring(2), value)
+    } else {
+      element.setAttribute(key, value)
+    }
+  }
+  for (const child of children) {
+    element.append(child ?? "")
+  }
+  return element
+}
+
+async function api(method, path, body) {
+  const response = await fetch(path, {
+    method,
+    credentials: "same-origin",
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  })
+
+  if (response.status === 401 && path !== "login") {
+    showLogin()
+    throw new Error("Login required")
+  }
+
+  const data = response.status === 204 ? null : await response.json()
+  if (!response.ok) {
+    const error = new Error(data?.error || `HTTP ${response.status}`)
+    error.details = data?.details || []
+    throw error
+  }
+  return data
+}
+
+function formatDuration(seconds) {
+  const days = Math.floor(seconds / 86400)
+  const hours = Math.floor((seconds % 86400) / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  return days > 0 ? `${days}d ${hours}h ${minutes}m` : `${hours}h ${minutes}m`
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "-"
+}
+
+function showLogin() {
+  $("dashboard").hidden = true
+  $("login").hidden = false
+  if (state.events) {
+    state.events.close()
+    state.events = null
+  }
+  clearInterval(state.refreshTimer)
+}
+
+async function showDashboard() {
+  await refresh()
+  $("login").hidden = true
+  $("dashboard").hidden = false
+  connectFeed()
+  clearInterval(state.refreshTimer)
+  state.refreshTimer = setInterval(() => refresh().catch(() => {}), 15000)
+}
+
+async function refresh() {
+  const [status, routes, stats] = await Promise.all([
+    api("GET", "api/status"),
+    api("GET", "api/routes"),
+    api("GET", "api/stats"),
+  ])
+
+  $("status-telegram").textContent = status.telegramConnected ? "Connected" : "Disconnected"
+  $("status-telegram").className = `value ${status.telegramConnected ? "ok" : "bad"}`
+  $("status-uptime").textContent = formatDuration(status.uptime)
+  $("status-pending").textContent = status.pendingDeliveries
+  $("status-pending").className = `value ${status.pendingDeliveries > 0 ? "warn" : ""}`
+  $("status-memory").textContent = `${Math.round(status.memoryUsage / 1024 / 1024)} MB`
+
+  state.routes = routes
+  state.stats = new Map(stats.map((row) => [row.routingId, row]))
+  renderRoutes()
+}
+
+function renderRoutes() {
+  const rows = state.routes.map((route) => {
+    const stats = state.stats.get(route.id) || {}
+    const topic = route.catchAll
+      ? `* ${route.excludeTopics.length > 0 ? `(not ${route.excludeTopics.join(", ")})` : ""}`
+      : (route.topicId ?? "-")
+    // An error older than the latest delivery has been recovered from
+    const recovered = stats.lastErrorAt && stats.lastForwardAt && stats.lastForwardAt > stats.lastErrorAt
+
+    return el(
+      "tr",
+      {},
+      el("td", {}, route.id),
+      el("td", {}, route.groupId),
+      el("td", {}, topic),
+      el("td", {}, route.comment || ""),
+      el("td", {}, route.outputMode + (route.threadMode ? " (threads)" : "")),
+      el("td", {}, stats.forwarded ?? 0),
+      el("td", {}, formatTime(stats.lastForwardAt)),
+      el(
+        "td",
+        { class: `error-cell ${recovered ? "muted" : "error"}` },
+        stats.lastError ? `${formatTime(stats.lastErrorAt)}: ${stats.lastError}` : "",
+      ),
+      el("td", { class: route.paused ? "warn" : "ok" }, route.paused ? "Paused" : "Active"),
+      el(
+        "td",
+        {},
+        el("button", { class: "secondary", onclick: () => openRouteDialog(route) }, "Edit"),
+        el(
+          "button",
+          { class: "secondary", onclick: () => setPaused(route, !route.paused) },
+          route.paused ? "Resume" : "Pause",
+        ),
+      ),
+    )
+  })
+
+  $("routes").replaceChildren(...rows)
+}
+
+async function setPaused(route, paused) {
+  try {
+    await api("POST", `api/routes/${route.id}/${paused ? "pause" : "resume"}`)
+    await refresh()
+  } catch (error) {
+    alert(error.message)
+  }
+}
+
+function openRouteDialog(route = null) {
+  const form = $("route-form")
+  state.editing = route
+
+  form.reset()
+  $("route-title").textContent = route ? `Edit route #${route.id}` : "Add route"
+  $("route-errors").replaceChildren()
+
+  if (route) {
+    for (const field of ["groupId", "topicId", "webhookUrl", "comment", "outputMode", "embedColor"]) {
+      form.elements[field].value = route[field] ?? ""
+    }
+    form.elements.excludeTopics.value = route.excludeTopics.join(", ")
+    for (const field of ["catchAll", "allowMentions", "threadMode", "paused"]) {
+      form.elements[field].checked = route[field]
+    }
+  }
+
+  $("route-dialog").showModal()
+}
+
+async function saveRoute(event) {
+  event.preventDefault()
+  const form = $("route-form")
+  const value = (field) => form.elements[field].value.trim()
+
+  const route = {
+    groupId: value("groupId"),
+    topicId: value("topicId") || null,
+    webhookUrl: value("webhookUrl"),
+    comment: value("comment") || null,
+    catchAll: form.elements.catchAll.checked,
+    excludeTopics: value("excludeTopics"),
+    outputMode: value("outputMode"),
+    embedColor: value("embedColor") || null,
+    allowMentions: form.elements.allowMentions.checked,
+    threadMode: form.elements.threadMode.checked,
+    paused: form.elements.paused.checked,
+  }
+
+  try {
+    if (state.editing) {
+      await api("PUT", `api/routes/${state.editing.id}`, route)
+    } else {
+      await api("POST", "api/routes", route)
+    }
+    $("route-dialog").close()
+    await refresh()
+  } catch (error) {
+    const messages = error.details?.length > 0 ? error.details : [error.message]
+    $("route-errors").replaceChildren(...messages.map((message) => el("li", {}, message)))
+  }
+}
+
+function connectFeed() {
+  if (state.events) return
+
+  state.events = new EventSource("api/events")
+  state.events.onmessage = (event) => addFeedEntry(JSON.parse(event.data))
+}
+
+function addFeedEntry(entry) {
+  const labels = { forwarded: "✅ Forwarded", retrying: "🔁 Retrying", failed: "☠️ Failed" }
+  const className = { forwarded: "", retrying: "warn", failed: "error" }[entry.type] || ""
+  const error = entry.error ? ` - ${entry.error}` : ""
+
+  const item = el(
+    "li",
+    { class: className },
+    el("span", { class: "muted" }, new Date(entry.time).toLocaleTimeString()),
+    ` ${labels[entry.type] || entry.type} message ${entry.messageId} of ${entry.groupId} to route #${entry.routingId}`,
+    entry.sender ? ` from ${entry.sender}` : "",
+    error,
+    entry.preview ? el("div", { class: "muted" }, entry.preview) : "",
+  )
+
+  const feed = $("feed")
+  feed.prepend(item)
+  while (feed.children.length > 100) {
+    feed.lastElementChild.remove()
+  }
+
+  // Failures change the route errors, a burst of them refreshes the table once
+  if (entry.type !== "forwarded" && !state.pendingRefresh) {
+    state.pendingRefresh = setTimeout(() => {
+      state.pendingRefresh = null
+      refresh().catch(() => {})
+    }, 1000)
+  }
+}
+
+$("login-form").addEventListener("submit", async (event) => {
+  event.preventDefault()
+  $("login-error").textContent = ""
+
+  try {
+    await api("POST", "login", { password: event.target.elements.password.value })
+    event.target.reset()
+    await showDashboard()
+  } catch (error) {
+    $("login-error").textContent = error.message
+  }
+})
+
+$("logout").addEventListener("click", async () => {
+  await api("POST", "logout").catch(() => {})
+  showLogin()
+})
+
+$("add-route").addEventListener("click", () => openRouteDialog())
+$("route-cancel").addEventListener("click", () => $("route-dialog").close())
+$("route-form").addEventListener("submit", saveRoute)
+
+showDashboard().catch(() => showLogin())
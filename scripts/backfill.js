@@ -0,0 +1,181 @@
+require("dotenv").config()
+const { createStorage } = require("../lib/storage")
+const TelegramBot = require("../lib/telegram-client")
+const DiscordForwarder = require("../lib/discord-forwarder")
+const ImageProcessor = require("../lib/image-processor")
+const DeliveryQueue = require("../lib/delivery-queue")
+const HistoryForwarder = require("../lib/history-forwarder")
+const Utils = require("../lib/utils")
+
+// Queued messages allowed to pile up before reading more history
+const MAX_PENDING = 20
+
+function printUsage() {
+  console.log("Usage: npm run backfill -- --group <id> [options]")
+  console.log("")
+  console.log("Options:")
+  console.log("  --group <id>        Telegram group ID in bridge format (e.g. -1001234567890)")
+  console.log("  --topic <id>        Only this forum topic")
+  console.log("  --routing <id>      Only this routing row (e.g. a newly added one)")
+  console.log("  --from <date>       Start date, YYYY-MM-DD or ISO timestamp")
+  console.log("  --to <date>         End date, a plain date includes the whole day")
+  console.log("  --from-id <id>      First Telegram message ID")
+  console.log("  --to-id <id>        Last Telegram message ID")
+  console.log("  --limit <n>         Read at most n messages")
+  console.log("  --restart           Ignore the checkpoint of a previous run")
+}
+
+function parseArgs(args) {
+  // Values may start with "-" (group IDs), so the next argument is always taken as the value
+  const options = {}
+  for (let i = 0; i < args.length; i++) {
+    const key = args[i].replace(/^--/, "")
+    if (key === "restart" || key === "help") {
+      options[key] = true
+    } else {
+      options[key] = args[++i]
+    }
+  }
+  return options
+}
+
+function parseDate(value, endOfDay = false) {
+  if (!value) return null
+
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}"`)
+  }
+  // A date without time covers the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1)
+  }
+  return date
+}
+
+function parseId(value, name) {
+  if (value === undefined) return null
+
+  const id = Number.parseInt(value)
+  if (Number.isNaN(id)) {
+    throw new Error(`--${name} must be a number`)
+  }
+  return id
+}
+
+async function backfill(args = process.argv.slice(2)) {
+  const options = parseArgs(args)
+  const groupId = parseId(options.group, "group")
+
+  if (!groupId || options.help) {
+    printUsage()
+    return
+  }
+
+  const topicId = parseId(options.topic, "topic")
+  const routingId = parseId(options.routing, "routing")
+  const fromId = parseId(options["from-id"], "from-id")
+  const toId = parseId(options["to-id"], "to-id")
+  const limit = parseId(options.limit, "limit")
+  const fromDate = parseDate(options.from)
+  const toDate = parseDate(options.to, true)
+
+  // Runs over the same group, topic, routing and range share a checkpoint
+  const range = [options.from || "", options.to || "", fromId ?? "", toId ?? ""]
+  const jobKey = [groupId, topicId ?? "", routingId ?? "all", ...range].join(":").substring(0, 191)
+
+  const database = createStorage()
+  await database.init()
+
+  const routings = await database.getGroupRoutings(groupId)
+  if (routings.length === 0 || (routingId && !routings.some((routing) => routing.id === routingId))) {
+    console.error(`❌ No matching routing for group ${groupId}`)
+    process.exitCode = 1
+    await database.close()
+    return
+  }
+
+  // Resume after the last message of an interrupted run
+  const checkpoint = options.restart ? null : await database.getBackfillCheckpoint(jobKey)
+  if (checkpoint?.Completed) {
+    console.log(`✅ This range was already backfilled (${checkpoint.Forwarded} message(s)), use --restart to run it again`)
+    await database.close()
+    return
+  }
+  if (checkpoint) {
+    console.log(`⏯️ Resuming after message ${checkpoint.Last_Message_ID} (${checkpoint.Forwarded} forwarded so far)`)
+  }
+
+  await Utils.createDirectoryStructure()
+  const imageProcessor = new ImageProcessor()
+  await imageProcessor.init()
+  const discordForwarder = new DiscordForwarder()
+  const deliveryQueue = new DeliveryQueue(database, discordForwarder)
+  await deliveryQueue.start()
+
+  // History only, live updates stay with the running bridge
+  const telegramBot = new TelegramBot(database, discordForwarder, imageProcessor, deliveryQueue, { listen: false })
+
+  try {
+    if (!(await telegramBot.init())) {
+      throw new Error("Could not connect to Telegram")
+    }
+
+    const forwardedBefore = checkpoint?.Forwarded || 0
+    const historyForwarder = new HistoryForwarder(database, telegramBot)
+    const stats = await historyForwarder.forward(groupId, {
+      topicId,
+      routingId,
+      minId: Math.max(checkpoint?.Last_Message_ID || 0, fromId ? fromId - 1 : 0),
+      maxId: toId ? toId + 1 : 0,
+      fromDate,
+      toDate,
+      limit: limit || undefined,
+      onProgress: async (progress) => {
+        await database.saveBackfillCheckpoint(
+          jobKey,
+          groupId,
+          topicId,
+          routingId,
+          progress.lastMessageId,
+          forwardedBefore + progress.forwarded,
+        )
+        await deliveryQueue.waitForPending(MAX_PENDING)
+      },
+    })
+
+    await database.saveBackfillCheckpoint(
+      jobKey,
+      groupId,
+      topicId,
+      routingId,
+      stats.lastMessageId,
+      forwardedBefore + stats.forwarded,
+      true,
+    )
+
+    console.log(`⏪ Backfill read ${stats.read} message(s): ${stats.forwarded} forwarded, ${stats.skipped} skipped`)
+
+    const pending = await deliveryQueue.waitForPending(0, 5 * 60 * 1000)
+    if (pending > 0) {
+      console.log(`📬 ${pending} message(s) still queued, the bridge delivers them on its next start`)
+    }
+  } finally {
+    await telegramBot.disconnect()
+    await deliveryQueue.stop()
+    await imageProcessor.cleanup()
+    await database.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfill()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error("❌ Backfill failed:", error.message)
+      process.exit(1)
+    })
+}
+
+module.exports = backfill
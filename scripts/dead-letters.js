@@ -0,0 +1,161 @@
+const fs = require("fs").promises
+require("dotenv").config()
+const { createStorage } = require("../lib/storage")
+
+function printUsage() {
+  console.log("Usage: npm run dead-letters -- <command> [id]")
+  console.log("")
+  console.log("Commands:")
+  console.log("  list [limit]   List the most recent dead letters")
+  console.log("  show <id>      Show a dead letter with its payload")
+  console.log("  replay <id>    Move a dead letter back into the delivery queue")
+  console.log("  replay-all     Move every dead letter back into the delivery queue")
+  console.log("  delete <id>    Delete a dead letter and its spooled files")
+}
+
+function describePayload(payload) {
+  const files = payload.files || []
+  const content = (payload.content || "").replace(/\s+/g, " ")
+  return {
+    username: payload.username,
+    content: content.length > 80 ? content.substring(0, 79) + "…" : content,
+    files: files.map((file) => file.name),
+  }
+}
+
+async function listDeadLetters(database, limit) {
+  const deadLetters = await database.getDeadLetters(limit)
+
+  if (deadLetters.length === 0) {
+    console.log("✅ No dead letters")
+    return
+  }
+
+  console.log(`☠️ ${deadLetters.length} dead letter(s):`)
+  console.log("")
+  for (const deadLetter of deadLetters) {
+    const payload = describePayload(JSON.parse(deadLetter.Payload))
+    console.log(`#${deadLetter.id}  group ${deadLetter.ID_Groups}  message ${deadLetter.TG_Message_ID}  (${deadLetter.created_at.toISOString()})`)
+    console.log(`   From: ${payload.username}  Files: ${payload.files.length}`)
+    console.log(`   Text: ${payload.content || "-"}`)
+    console.log(`   Error after ${deadLetter.Attempts} attempt(s): ${deadLetter.Last_Error}`)
+    console.log("")
+  }
+}
+
+async function showDeadLetter(database, id) {
+  const deadLetter = await database.getDeadLetter(id)
+  if (!deadLetter) {
+    console.error(`❌ Dead letter #${id} not found`)
+    process.exitCode = 1
+    return
+  }
+
+  const payload = JSON.parse(deadLetter.Payload)
+  console.log(`☠️ Dead letter #${deadLetter.id}`)
+  console.log(`   Routing ID: ${deadLetter.Routing_ID}`)
+  console.log(`   Group ID: ${deadLetter.ID_Groups}`)
+  console.log(`   Telegram message ID: ${deadLetter.TG_Message_ID}`)
+  console.log(`   Webhook: ${deadLetter.DC_Webhook.substring(0, 50)}...`)
+  console.log(`   Queued at: ${deadLetter.queued_at ? deadLetter.queued_at.toISOString() : "unknown"}`)
+  console.log(`   Failed at: ${deadLetter.created_at.toISOString()}`)
+  console.log(`   Attempts: ${deadLetter.Attempts}`)
+  console.log(`   Last error: ${deadLetter.Last_Error}`)
+  console.log("   Payload:")
+  console.log(JSON.stringify(payload, null, 2))
+}
+
+async function replayDeadLetter(database, id) {
+  const deliveryId = await database.replayDeadLetter(id)
+  if (!deliveryId) {
+    console.error(`❌ Could not replay dead letter #${id}`)
+    process.exitCode = 1
+    return
+  }
+
+  console.log(`🔁 Dead letter #${id} re-queued as delivery #${deliveryId}`)
+}
+
+async function replayAllDeadLetters(database) {
+  let replayed = 0
+  let deadLetters = await database.getDeadLetters(100)
+
+  while (deadLetters.length > 0) {
+    for (const deadLetter of deadLetters) {
+      if (await database.replayDeadLetter(deadLetter.id)) {
+        replayed++
+      } else {
+        console.error(`❌ Could not replay dead letter #${deadLetter.id}`)
+        process.exitCode = 1
+        console.log(`🔁 Re-queued ${replayed} dead letter(s)`)
+        return
+      }
+    }
+    deadLetters = await database.getDeadLetters(100)
+  }
+
+  console.log(`🔁 Re-queued ${replayed} dead letter(s)`)
+}
+
+async function deleteDeadLetter(database, id) {
+  const deadLetter = await database.getDeadLetter(id)
+  if (!deadLetter || !(await database.deleteDeadLetter(id))) {
+    console.error(`❌ Could not delete dead letter #${id}`)
+    process.exitCode = 1
+    return
+  }
+
+  const payload = JSON.parse(deadLetter.Payload)
+  if (payload.spoolDir) {
+    await fs.rm(payload.spoolDir, { recursive: true, force: true })
+  }
+
+  console.log(`🗑️ Dead letter #${id} deleted`)
+}
+
+async function manageDeadLetters(args = process.argv.slice(2)) {
+  const [command, argument] = args
+  const id = Number.parseInt(argument)
+
+  if (!command || (["show", "replay", "delete"].includes(command) && !id)) {
+    printUsage()
+    return
+  }
+
+  const database = createStorage()
+  await database.init()
+
+  try {
+    switch (command) {
+      case "list":
+        await listDeadLetters(database, id || 50)
+        break
+      case "show":
+        await showDeadLetter(database, id)
+        break
+      case "replay":
+        await replayDeadLetter(database, id)
+        break
+      case "replay-all":
+        await replayAllDeadLetters(database)
+        break
+      case "delete":
+        await deleteDeadLetter(database, id)
+        break
+      default:
+        printUsage()
+    }
+  } finally {
+    await database.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  manageDeadLetters().catch((error) => {
+    console.error("❌ Dead letter command failed:", error.message)
+    process.exit(1)
+  })
+}
+
+module.exports = manageDeadLetters
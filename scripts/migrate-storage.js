@@ -0,0 +1,104 @@
+require("dotenv").config()
+const { BACKENDS, createStorage } = require("../lib/storage")
+const SqlStorage = require("../lib/storage/sql-storage")
+const Migrator = require("../lib/storage/migrator")
+
+const BATCH_SIZE = 500
+
+function printUsage() {
+  console.log("Usage: npm run migrate-storage -- <from> <to> [--force]")
+  console.log("")
+  console.log(`Copies every table of the bridge from one storage backend to another (${Object.keys(BACKENDS).join(", ")}).`)
+  console.log("The target is read from the same .env settings as the bridge, e.g. MYSQL_* and SQLITE_PATH.")
+  console.log("Stop the bridge first so nothing changes during the copy.")
+  console.log("")
+  console.log("Options:")
+  console.log("  --force   Replace the data in a target that already has rows")
+}
+
+async function copyTable(source, target, table) {
+  // Columns added to one backend only, e.g. by a newer schema, are left out
+  const targetColumns = await target.getColumns(table.name)
+  const columns = (await source.getColumns(table.name)).filter((column) => targetColumns.includes(column))
+
+  let copied = 0
+  while (true) {
+    const rows = await source.readRows(table.name, table.key, BATCH_SIZE, copied)
+    if (rows.length === 0) break
+
+    await target.insertRows(table.name, columns, rows)
+    copied += rows.length
+  }
+
+  console.log(`   ${table.name}: ${copied} row(s)`)
+  return copied
+}
+
+async function migrateStorage(args = process.argv.slice(2)) {
+  const force = args.includes("--force")
+  const [from, to] = args.filter((arg) => !arg.startsWith("--")).map((arg) => arg.toLowerCase())
+
+  if (!BACKENDS[from] || !BACKENDS[to] || from === to) {
+    printUsage()
+    return
+  }
+
+  const source = createStorage(from)
+  const target = createStorage(to)
+  await source.init()
+  await target.init()
+
+  try {
+    // The copy needs the target tables
+    const applied = await new Migrator(target).up()
+    if (applied.length > 0) {
+      console.log(`✅ Applied ${applied.length} migration(s) to the ${to} database`)
+    }
+
+    const filled = []
+    for (const table of SqlStorage.TABLES) {
+      if ((await target.countRows(table.name)) > 0) {
+        filled.push(table.name)
+      }
+    }
+
+    if (filled.length > 0) {
+      if (!force) {
+        console.error(`❌ The ${to} database already has data in: ${filled.join(", ")}`)
+        console.error("   Use --force to replace it")
+        process.exitCode = 1
+        return
+      }
+
+      // Children first, so foreign keys don't block the delete
+      for (const table of [...SqlStorage.TABLES].reverse()) {
+        await target.clearTable(table.name)
+      }
+      console.log(`🗑️ Cleared the existing ${to} data`)
+    }
+
+    console.log(`🚚 Copying ${from} data to ${to}...`)
+    let total = 0
+    for (const table of SqlStorage.TABLES) {
+      total += await copyTable(source, target, table)
+    }
+    // A bridge already running on the target reloads the copied routes
+    await target.bumpRoutingVersion()
+
+    console.log(`✅ Copied ${total} row(s) from ${from} to ${to}`)
+    console.log(`ℹ️ Set STORAGE_BACKEND=${to} to run the bridge on the copy`)
+  } finally {
+    await source.close()
+    await target.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrateStorage().catch((error) => {
+    console.error("❌ Storage migration failed:", error.message)
+    process.exit(1)
+  })
+}
+
+module.exports = migrateStorage
@@ -0,0 +1,74 @@
+require("dotenv").config()
+const { createStorage } = require("../lib/storage")
+const Migrator = require("../lib/storage/migrator")
+
+function printUsage() {
+  console.log("Usage: npm run migrate -- <command> [argument]")
+  console.log("")
+  console.log("Commands:")
+  console.log("  status           List migrations and whether they are applied")
+  console.log("  up [version]     Apply pending migrations, optionally only up to a version")
+  console.log("  down [steps]     Roll back the latest applied migration(s), 1 by default")
+}
+
+async function printStatus(migrator) {
+  const migrations = await migrator.status()
+  if (migrations.length === 0) {
+    console.log("ℹ️ No migrations found")
+    return
+  }
+
+  console.log(`📜 ${migrations.length} migration(s):`)
+  for (const migration of migrations) {
+    const state = migration.missing
+      ? `applied ${migration.appliedAt.toISOString()}, file missing`
+      : migration.appliedAt
+        ? `applied ${migration.appliedAt.toISOString()}`
+        : "pending"
+    console.log(`${String(migration.version).padStart(4, "0")}  ${migration.name.padEnd(30)}  ${state}`)
+  }
+}
+
+async function migrate(args = process.argv.slice(2)) {
+  const [command, argument] = args
+  const number = argument === undefined ? null : Number.parseInt(argument)
+
+  if (!["status", "up", "down"].includes(command) || Number.isNaN(number)) {
+    printUsage()
+    return
+  }
+
+  const database = createStorage()
+  await database.init()
+  const migrator = new Migrator(database)
+
+  try {
+    switch (command) {
+      case "status":
+        await printStatus(migrator)
+        break
+      case "up": {
+        const applied = await migrator.up(number)
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : "✅ Schema is up to date")
+        break
+      }
+      case "down": {
+        const rolledBack = await migrator.down(number ?? 1)
+        console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : "ℹ️ Nothing to roll back")
+        break
+      }
+    }
+  } finally {
+    await database.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrate().catch((error) => {
+    console.error("❌ Migration failed:", error.message)
+    process.exit(1)
+  })
+}
+
+module.exports = migrate
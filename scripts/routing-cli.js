@@ -0,0 +1,365 @@
+require("dotenv").config()
+const input = require("input")
+const { createStorage } = require("../lib/storage")
+const TelegramBot = require("../lib/telegram-client")
+const DiscordForwarder = require("../lib/discord-forwarder")
+const RoutingResolver = require("../lib/routing-resolver")
+
+const COMMANDS = {
+  list: "List routes",
+  dialogs: "List Telegram chats with their IDs",
+  topics: "List the topics of a forum group",
+  add: "Add a route",
+  edit: "Edit a route",
+  test: "Send a test message to a route",
+  remove: "Remove a route",
+}
+
+class RoutingCli {
+  constructor(database) {
+    this.database = database
+    this.discordForwarder = new DiscordForwarder()
+    this.telegramBot = null
+    this.dialogs = null
+  }
+
+  async getTelegram() {
+    // Only chat and topic lookups need Telegram, it is connected on first use
+    if (!this.telegramBot) {
+      this.telegramBot = new TelegramBot(this.database, this.discordForwarder, null, null, { listen: false })
+      if (!(await this.telegramBot.init())) {
+        this.telegramBot = null
+        throw new Error("Could not connect to Telegram")
+      }
+    }
+    return this.telegramBot
+  }
+
+  async getDialogs() {
+    if (!this.dialogs) {
+      this.dialogs = await (await this.getTelegram()).listDialogs()
+    }
+    return this.dialogs
+  }
+
+  async run(command, argument) {
+    switch (command) {
+      case "list":
+        return this.listRoutes()
+      case "dialogs":
+        return this.listDialogs()
+      case "topics":
+        return this.listTopics(argument)
+      case "add":
+        return this.addRoute()
+      case "edit":
+        return this.editRoute(argument)
+      case "test":
+        return this.testRoute(argument)
+      case "remove":
+        return this.removeRoute(argument)
+      default:
+        return this.menu()
+    }
+  }
+
+  async menu() {
+    while (true) {
+      console.log("")
+      const command = await input.select("What do you want to do?", [
+        ...Object.entries(COMMANDS).map(([value, name]) => ({ name, value })),
+        { name: "Exit", value: "exit" },
+      ])
+      if (command === "exit") {
+        return
+      }
+
+      try {
+        await this.run(command)
+      } catch (error) {
+        console.error(`❌ ${error.message}`)
+      }
+    }
+  }
+
+  async listRoutes() {
+    const routings = await this.database.getAllRoutings()
+    if (routings.length === 0) {
+      console.log("ℹ️ No routes configured")
+      return
+    }
+
+    console.log(`📋 ${routings.length} route(s):`)
+    for (const routing of [...routings].sort((a, b) => a.id - b.id)) {
+      console.log(`#${routing.id} ${this.describeRoute(routing)}`)
+      console.log(`   Webhook: ${routing.DC_Webhook.substring(0, 60)}...`)
+    }
+  }
+
+  async listDialogs() {
+    const dialogs = await this.getDialogs()
+
+    console.log(`💬 ${dialogs.length} chat(s):`)
+    for (const dialog of dialogs) {
+      console.log(`${String(dialog.id).padStart(15)}  ${dialog.type.padEnd(7)}  ${dialog.title}`)
+    }
+  }
+
+  async listTopics(groupId) {
+    const chat = await this.askChat("Forum group", groupId ? Number(groupId) : null, ["forum"])
+    const topics = await (await this.getTelegram()).getForumTopics(chat.id)
+
+    console.log(`🗂️ ${topics.length} topic(s) in ${chat.title} (${chat.id}):`)
+    for (const topic of topics) {
+      console.log(`${String(topic.id).padStart(8)}  ${topic.title}${topic.closed ? " (closed)" : ""}`)
+    }
+  }
+
+  async addRoute() {
+    const route = await this.askRoute()
+    const id = await this.database.addRouting(route.groupId, route.topicId, route.webhookUrl, route.comment, route)
+    if (!id) {
+      throw new Error("Could not save the route")
+    }
+
+    console.log(`✅ Route #${id} added`)
+    this.printReloadHint()
+  }
+
+  async editRoute(routeId) {
+    const routing = await this.askRouting(routeId)
+    if (!routing) return
+
+    const route = await this.askRoute(routing)
+    const { groupId, topicId, webhookUrl, comment } = route
+    if (!(await this.database.updateRouting(routing.id, groupId, topicId, webhookUrl, comment, route))) {
+      throw new Error("Could not save the route")
+    }
+
+    console.log(`✅ Route #${routing.id} updated`)
+    this.printReloadHint()
+  }
+
+  async testRoute(routeId) {
+    const routing = await this.askRouting(routeId)
+    if (!routing) return
+
+    // Forum channel webhooks only accept messages inside a thread, so thread-mode routes are just looked up
+    const passed = routing.Thread_Mode
+      ? !!(await this.discordForwarder.getWebhookInfo(routing.DC_Webhook))
+      : await this.discordForwarder.testWebhookWithMessage(
+          routing.DC_Webhook,
+          `🧪 Test message for route #${routing.id} (${this.describeRoute(routing)})`,
+        )
+
+    console.log(passed ? `✅ Webhook of route #${routing.id} works` : `❌ Webhook of route #${routing.id} failed`)
+  }
+
+  async removeRoute(routeId) {
+    const routing = await this.askRouting(routeId)
+    if (!routing) return
+
+    if (!(await input.confirm(`Remove route #${routing.id} (${this.describeRoute(routing)})?`, { default: false }))) {
+      return
+    }
+    if (!(await this.database.deleteRouting(routing.id))) {
+      throw new Error("Could not remove the route")
+    }
+
+    console.log(`🗑️ Route #${routing.id} removed`)
+    this.printReloadHint()
+  }
+
+  async askRouting(routeId) {
+    const routings = [...(await this.database.getAllRoutings())].sort((a, b) => a.id - b.id)
+
+    if (routeId) {
+      const routing = routings.find((r) => r.id === Number(routeId))
+      if (!routing) {
+        throw new Error(`Route #${routeId} not found`)
+      }
+      return routing
+    }
+
+    if (routings.length === 0) {
+      console.log("ℹ️ No routes configured")
+      return null
+    }
+
+    return input.select("Route", [
+      ...routings.map((routing) => ({ name: `#${routing.id} ${this.describeRoute(routing)}`, value: routing })),
+      { name: "Cancel", value: null },
+    ])
+  }
+
+  async askChat(label, chatId = null, types = ["group", "forum", "channel"], defaultId = null) {
+    const dialogs = (await this.getDialogs()).filter((dialog) => types.includes(dialog.type))
+
+    if (chatId !== null) {
+      const known = dialogs.find((dialog) => dialog.id === chatId)
+      if (!known) {
+        throw new Error(`Chat ${chatId} is not one of the account's ${types.join("/")} chats`)
+      }
+      return known
+    }
+    if (dialogs.length === 0) {
+      throw new Error(`The account has no ${types.join("/")} chats`)
+    }
+
+    const chat = await input.select(
+      label,
+      [
+        ...dialogs.map((dialog) => ({ name: `${dialog.title} (${dialog.id}, ${dialog.type})`, value: dialog })),
+        { name: "Cancel", value: null },
+      ],
+      { default: dialogs.find((dialog) => dialog.id === defaultId) },
+    )
+    if (!chat) {
+      throw new Error("Cancelled")
+    }
+    return chat
+  }
+
+  async askRoute(routing = null) {
+    const chat = await this.askChat("Telegram chat", null, undefined, routing ? Number(routing.ID_Groups) : null)
+    const route = {
+      groupId: chat.id,
+      topicId: null,
+      catchAll: false,
+      excludeTopics: [],
+      paused: !!routing?.Paused,
+    }
+
+    if (chat.type === "forum") {
+      const topics = await (await this.getTelegram()).getForumTopics(chat.id)
+      const target = await this.askTopic(topics, routing)
+
+      if (target === "all") {
+        route.catchAll = true
+        const excluded = RoutingResolver.parseTopicList(routing?.Exclude_Topics)
+        route.excludeTopics =
+          topics.length > 0
+            ? await input.checkboxes(
+                "Topics to exclude (space to select)",
+                topics.map((topic) => ({
+                  name: `${topic.title} (${topic.id})`,
+                  value: topic.id,
+                  checked: excluded.includes(topic.id),
+                })),
+              )
+            : []
+      } else {
+        route.topicId = target
+      }
+    }
+
+    route.webhookUrl = await input.text("Discord webhook URL", {
+      default: routing?.DC_Webhook,
+      validate: async (value) =>
+        (await this.discordForwarder.validateWebhookUrl(value.trim())) || "Not a Discord webhook URL",
+    })
+    route.webhookUrl = route.webhookUrl.trim()
+    route.comment = (await input.text("Comment", { default: routing?.Comment || "" })) || null
+    route.outputMode = await input.select("Output mode", ["plain", "embed", "hybrid"], {
+      default: routing?.Output_Mode || "plain",
+    })
+
+    if (route.outputMode !== "plain") {
+      const color = await input.text("Embed colour (#RRGGBB, empty for the default)", {
+        default: routing?.Embed_Color || "",
+        validate: (value) => !value || /^#?[0-9a-f]{6}$/i.test(value) || "Use #RRGGBB",
+      })
+      route.embedColor = color ? `#${color.replace(/^#/, "").toUpperCase()}` : null
+    } else {
+      route.embedColor = routing?.Embed_Color || null
+    }
+
+    route.allowMentions = await input.confirm("Let mapped mentions ping?", { default: !!routing?.Allow_Mentions })
+    route.threadMode =
+      chat.type === "forum"
+        ? await input.confirm("Post each topic into its own Discord thread?", { default: !!routing?.Thread_Mode })
+        : false
+
+    return route
+  }
+
+  async askTopic(topics, routing) {
+    if (topics.length === 0) {
+      return "all"
+    }
+
+    return input.select(
+      "Topic",
+      [
+        { name: "All topics without their own route (catch-all)", value: "all" },
+        ...topics.map((topic) => ({ name: `${topic.title} (${topic.id})`, value: topic.id })),
+      ],
+      { default: routing?.Catch_All ? "all" : (routing?.ID_Topic ?? "all") },
+    )
+  }
+
+  describeRoute(routing) {
+    const topic = routing.Catch_All
+      ? `all topics${routing.Exclude_Topics ? ` except ${routing.Exclude_Topics}` : ""}`
+      : `topic ${routing.ID_Topic ?? "none"}`
+    const comment = routing.Comment ? ` - ${routing.Comment}` : ""
+    return `${routing.ID_Groups}, ${topic}${routing.Paused ? " (paused)" : ""}${comment}`
+  }
+
+  printReloadHint() {
+    console.log("ℹ️ A running bridge picks the change up within ROUTING_CHECK_SECONDS")
+  }
+
+  async close() {
+    if (this.telegramBot) {
+      await this.telegramBot.disconnect()
+    }
+  }
+}
+
+function printUsage() {
+  console.log("Usage: npm run routing -- [command] [argument]")
+  console.log("")
+  console.log("Without a command an interactive menu is shown.")
+  console.log("")
+  console.log("Commands:")
+  console.log("  list               List routes")
+  console.log("  dialogs            List Telegram chats with their bridge-format IDs")
+  console.log("  topics [group]     List the topics of a forum group")
+  console.log("  add                Add a route")
+  console.log("  edit [route]       Edit a route")
+  console.log("  test [route]       Send a test message to a route")
+  console.log("  remove [route]     Remove a route")
+}
+
+async function routingCli(args = process.argv.slice(2)) {
+  const [command, argument] = args
+
+  if (command && !COMMANDS[command]) {
+    printUsage()
+    return
+  }
+
+  const database = createStorage()
+  await database.init()
+  const cli = new RoutingCli(database)
+
+  try {
+    await cli.run(command, argument)
+  } finally {
+    await cli.close()
+    await database.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  routingCli()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error("❌ Routing command failed:", error.message)
+      process.exit(1)
+    })
+}
+
+module.exports = routingCli
@@ -0,0 +1,51 @@
+const fs = require("fs").promises
+const path = require("path")
+require("dotenv").config()
+const { createStorage } = require("../lib/storage")
+const Migrator = require("../lib/storage/migrator")
+
+const SEEDS_DIR = path.join(__dirname, "../db/seeds")
+
+async function seed(args = process.argv.slice(2)) {
+  const force = args.includes("--force")
+
+  const database = createStorage()
+  await database.init()
+
+  try {
+    const pending = await new Migrator(database).getPending()
+    if (pending.length > 0) {
+      console.error(`❌ ${pending.length} migration(s) pending, run npm run migrate -- up first`)
+      process.exitCode = 1
+      return
+    }
+
+    // The sample rows point at placeholder webhooks, keep them out of databases that are in use
+    const routings = await database.getAllRoutings()
+    if (routings.length > 0 && !force) {
+      console.error(`❌ The database already has ${routings.length} route(s), use --force to add the sample data anyway`)
+      process.exitCode = 1
+      return
+    }
+
+    const files = (await fs.readdir(SEEDS_DIR)).filter((file) => file.endsWith(".sql")).sort()
+    for (const file of files) {
+      await database.exec(await fs.readFile(path.join(SEEDS_DIR, file), "utf8"))
+      console.log(`🌱 Seeded ${file}`)
+    }
+
+    console.log("✅ Sample data inserted, replace the placeholder webhook URLs before starting the bridge")
+  } finally {
+    await database.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  seed().catch((error) => {
+    console.error("❌ Seeding failed:", error.message)
+    process.exit(1)
+  })
+}
+
+module.exports = seed
@@ -1,53 +1,49 @@
 const mysql = require("mysql2/promise")
-const fs = require("fs").promises
-const path = require("path")
 require("dotenv").config()
+const { createStorage, getStorageBackend } = require("../lib/storage")
+const Migrator = require("../lib/storage/migrator")
 
-async function setupDatabase() {
-  let connection = null
+async function createMysqlDatabase() {
+  // Connect to MySQL server (without database)
+  const connection = await mysql.createConnection({
+    host: process.env.MYSQL_HOST || "localhost",
+    user: process.env.MYSQL_USER,
+    password: process.env.MYSQL_PASSWORD,
+  })
 
   try {
-    console.log("🔄 Setting up database...")
-
-    // Connect to MySQL server (without database)
-    connection = await mysql.createConnection({
-      host: process.env.MYSQL_HOST || "localhost",
-      user: process.env.MYSQL_USER,
-      password: process.env.MYSQL_PASSWORD,
-    })
-
     console.log("✅ Connected to MySQL server")
+    await connection.query(
+      `CREATE DATABASE IF NOT EXISTS ${mysql.escapeId(process.env.MYSQL_DATABASE)} CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`,
+    )
+    console.log(`✅ Database ${process.env.MYSQL_DATABASE} is ready`)
+  } finally {
+    await connection.end()
+  }
+}
 
-    // Read and execute database creation script
-    const createDbScript = await fs.readFile(path.join(__dirname, "../db/01-create-database.sql"), "utf8")
-    const createStatements = createDbScript.split(";").filter((stmt) => stmt.trim())
-
-    for (const statement of createStatements) {
-      if (statement.trim()) {
-        await connection.execute(statement)
-      }
-    }
-
-    console.log("✅ Database and tables created successfully")
+async function setupDatabase() {
+  let database = null
 
-    // Read and execute sample data script
-    const insertDataScript = await fs.readFile(path.join(__dirname, "../db/02-insert-routing-data.sql"), "utf8")
-    const insertStatements = insertDataScript.split(";").filter((stmt) => stmt.trim())
+  try {
+    console.log("🔄 Setting up database...")
 
-    for (const statement of insertStatements) {
-      if (statement.trim()) {
-        await connection.execute(statement)
-      }
+    if (getStorageBackend() === "mysql") {
+      await createMysqlDatabase()
     }
 
-    console.log("✅ Sample routing data inserted successfully")
-    console.log("🎉 Database setup completed!")
+    database = createStorage()
+    await database.init()
+
+    const applied = await new Migrator(database).up()
+    console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : "✅ Schema is up to date")
+    console.log("🎉 Database setup completed! Run npm run seed to add sample routes")
   } catch (error) {
     console.error("❌ Database setup failed:", error.message)
     process.exit(1)
   } finally {
-    if (connection) {
-      await connection.end()
+    if (database) {
+      await database.close()
     }
   }
 }
@@ -0,0 +1,203 @@
+const fs = require("fs").promises
+const path = require("path")
+require("dotenv").config()
+const { createStorage } = require("../lib/storage")
+const Utils = require("../lib/utils")
+
+const COLUMNS = [
+  "telegram_id",
+  "telegram_username",
+  "discord_id",
+  "mention_type",
+  "discord_name",
+  "avatar_url",
+  "comment",
+]
+const MENTION_TYPES = ["user", "role"]
+
+function printUsage() {
+  console.log("Usage: npm run user-mappings -- <command> [argument]")
+  console.log("")
+  console.log("Commands:")
+  console.log("  list              List all user mappings")
+  console.log("  export [file]     Export mappings as .csv or .json (JSON to stdout without a file)")
+  console.log("  import <file>     Add or update mappings from a .csv or .json file")
+  console.log("  remove <tg_id>    Remove the mapping of a Telegram user ID")
+  console.log("  remove @handle    Remove the mapping of a handle without a Telegram user ID")
+  console.log("")
+  console.log(`Columns: ${COLUMNS.join(", ")}`)
+  console.log("A row without telegram_id maps just the @handle, mention_type role makes it a role mention")
+}
+
+function toRecord(mapping) {
+  return {
+    telegram_id: mapping.TG_User_ID === null ? null : String(mapping.TG_User_ID),
+    telegram_username: mapping.TG_Username,
+    discord_id: mapping.DC_User_ID,
+    mention_type: mapping.Mention_Type,
+    discord_name: mapping.DC_Display_Name,
+    avatar_url: mapping.DC_Avatar_URL,
+    comment: mapping.Comment,
+  }
+}
+
+function validateRecord(record, index) {
+  const telegramId = String(record.telegram_id ?? "").trim()
+  const username = String(record.telegram_username ?? "").trim()
+  const discordId = String(record.discord_id ?? "").trim()
+  const mentionType = String(record.mention_type ?? "").trim() || "user"
+  const avatarUrl = String(record.avatar_url ?? "").trim()
+
+  if (!telegramId && !username) {
+    return `row ${index + 1}: needs a telegram_id or, for a handle-only mapping, a telegram_username`
+  }
+  if (telegramId && !/^\d+$/.test(telegramId)) {
+    return `row ${index + 1}: telegram_id "${telegramId}" is not a numeric Telegram user ID`
+  }
+  if (!MENTION_TYPES.includes(mentionType)) {
+    return `row ${index + 1}: mention_type must be one of ${MENTION_TYPES.join(", ")}`
+  }
+  if (discordId && !/^\d{15,21}$/.test(discordId)) {
+    return `row ${index + 1}: discord_id "${discordId}" is not a Discord ${mentionType} ID`
+  }
+  if (!telegramId && !discordId) {
+    return `row ${index + 1}: a handle-only mapping needs a discord_id`
+  }
+  if (avatarUrl && !/^https?:\/\//.test(avatarUrl)) {
+    return `row ${index + 1}: avatar_url must be an http(s) URL`
+  }
+  return null
+}
+
+async function listMappings(database) {
+  const mappings = await database.getAllUserMappings()
+
+  if (mappings.length === 0) {
+    console.log("ℹ️ No user mappings")
+    return
+  }
+
+  console.log(`👥 ${mappings.length} user mapping(s):`)
+  console.log("")
+  for (const mapping of mappings) {
+    const telegram =
+      mapping.TG_User_ID === null
+        ? `@${mapping.TG_Username}`
+        : `${mapping.TG_User_ID}${mapping.TG_Username ? ` (@${mapping.TG_Username})` : ""}`
+    const role = mapping.Mention_Type === "role" ? " role" : ""
+    console.log(`Telegram ${telegram} -> Discord${role} ${mapping.DC_User_ID || "-"}`)
+    if (mapping.DC_Display_Name) console.log(`   Name: ${mapping.DC_Display_Name}`)
+    if (mapping.DC_Avatar_URL) console.log(`   Avatar: ${mapping.DC_Avatar_URL}`)
+    if (mapping.Comment) console.log(`   Comment: ${mapping.Comment}`)
+  }
+}
+
+async function exportMappings(database, file) {
+  const records = (await database.getAllUserMappings()).map(toRecord)
+
+  if (!file) {
+    console.log(JSON.stringify(records, null, 2))
+    return
+  }
+
+  const content =
+    path.extname(file).toLowerCase() === ".csv" ? Utils.toCsv(records, COLUMNS) : JSON.stringify(records, null, 2) + "\n"
+  await fs.writeFile(file, content)
+  console.log(`📤 Exported ${records.length} user mapping(s) to ${file}`)
+}
+
+async function importMappings(database, file) {
+  const content = await fs.readFile(file, "utf8")
+  const records = path.extname(file).toLowerCase() === ".csv" ? Utils.parseCsv(content) : JSON.parse(content)
+
+  if (!Array.isArray(records)) {
+    throw new Error("Import file must contain a list of mappings")
+  }
+
+  // Nothing is written unless the whole file is valid
+  const errors = records.map(validateRecord).filter(Boolean)
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} invalid row(s), nothing imported:`)
+    errors.forEach((error) => console.error(`   ${error}`))
+    process.exitCode = 1
+    return
+  }
+
+  let imported = 0
+  for (const record of records) {
+    const telegramUserId = String(record.telegram_id ?? "").trim() || null
+    const saved = await database.saveUserMapping({
+      telegramUserId,
+      telegramUsername: record.telegram_username ? String(record.telegram_username).trim() : null,
+      discordUserId: record.discord_id ? String(record.discord_id).trim() : null,
+      mentionType: String(record.mention_type ?? "").trim() || "user",
+      discordName: record.discord_name,
+      avatarUrl: record.avatar_url,
+      comment: record.comment,
+    })
+    if (saved) {
+      imported++
+    } else {
+      console.error(`❌ Could not save mapping for Telegram ${telegramUserId || `@${record.telegram_username}`}`)
+      process.exitCode = 1
+    }
+  }
+
+  console.log(`📥 Imported ${imported}/${records.length} user mapping(s) from ${file}`)
+}
+
+async function removeMapping(database, target) {
+  const isHandle = target.startsWith("@")
+  const label = isHandle ? `handle ${target}` : `Telegram user ${target}`
+  const removed = isHandle ? await database.deleteHandleMapping(target) : await database.deleteUserMapping(target)
+  if (!removed) {
+    console.error(`❌ No mapping for ${label}`)
+    process.exitCode = 1
+    return
+  }
+
+  console.log(`🗑️ Mapping for ${label} removed`)
+}
+
+async function manageUserMappings(args = process.argv.slice(2)) {
+  const [command, argument] = args
+
+  if (!command || (["import", "remove"].includes(command) && !argument)) {
+    printUsage()
+    return
+  }
+
+  const database = createStorage()
+  await database.init()
+
+  try {
+    switch (command) {
+      case "list":
+        await listMappings(database)
+        break
+      case "export":
+        await exportMappings(database, argument)
+        break
+      case "import":
+        await importMappings(database, argument)
+        break
+      case "remove":
+        await removeMapping(database, argument)
+        break
+      default:
+        printUsage()
+    }
+  } finally {
+    await database.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  manageUserMappings().catch((error) => {
+    console.error("❌ User mapping command failed:", error.message)
+    process.exit(1)
+  })
+}
+
+module.exports = manageUserMappings
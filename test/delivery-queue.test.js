@@ -0,0 +1,96 @@
+const { describe, it, before, after, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const DeliveryQueue = require("../lib/delivery-queue")
+const Migrator = require("../lib/storage/migrator")
+
+// better-sqlite3 is optional, without it there is no storage to run against
+let sqliteAvailable = true
+try {
+  require("better-sqlite3")
+} catch {
+  sqliteAvailable = false
+}
+
+const GROUP_ID = -1001
+const WEBHOOKS = ["https://discord.test/a", "https://discord.test/b", "https://discord.test/c"]
+
+// Records what would go out to Discord, yielding in between so the queues interleave
+function createForwarder(sent) {
+  return {
+    sendMessage: async (webhookUrl, messageData, progress) => {
+      await new Promise((resolve) => setImmediate(resolve))
+      sent.push([webhookUrl, messageData.content])
+      const message = { id: String(sent.length), channel_id: "1" }
+      await progress.onPartSent({ message, content: messageData.content, files: [] })
+    },
+  }
+}
+
+describe("DeliveryQueue", { skip: !sqliteAvailable && "better-sqlite3 is not installed" }, () => {
+  let directory
+  let databases
+
+  before(async () => {
+    mock.method(console, "log", () => {})
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "queue-"))
+    process.env.SQLITE_PATH = path.join(directory, "bridge.sqlite")
+    const SqliteStorage = require("../lib/storage/sqlite-storage")
+
+    // Two connections to one file, like the bridge and a backfill running side by side
+    databases = [new SqliteStorage(), new SqliteStorage()]
+    for (const database of databases) {
+      await database.init()
+    }
+    await new Migrator(databases[0]).up()
+  })
+
+  after(async () => {
+    for (const database of databases || []) {
+      await database.close()
+    }
+    if (directory) fs.rmSync(directory, { recursive: true, force: true })
+    mock.restoreAll()
+  })
+
+  it("sends every delivery once when two processes share the queue", async () => {
+    const [bridge, backfill] = databases
+    const routingIds = []
+    for (const webhook of WEBHOOKS) {
+      const { insertId } = await bridge.run("INSERT INTO routing (ID_Groups, DC_Webhook) VALUES (?, ?)", [
+        GROUP_ID,
+        webhook,
+      ])
+      routingIds.push(insertId)
+    }
+
+    const expected = []
+    for (let messageId = 1; messageId <= 30; messageId++) {
+      const index = messageId % WEBHOOKS.length
+      const content = `message ${messageId}`
+      await bridge.enqueueDelivery(routingIds[index], GROUP_ID, messageId, WEBHOOKS[index], { content })
+      expected.push([WEBHOOKS[index], content])
+    }
+
+    const sent = []
+    const queues = [new DeliveryQueue(bridge, createForwarder(sent)), new DeliveryQueue(backfill, createForwarder(sent))]
+    await Promise.all(queues.map((queue) => queue.kick()))
+
+    assert.equal(sent.length, expected.length)
+    assert.deepEqual(
+      [...sent].sort((a, b) => a.join().localeCompare(b.join())),
+      [...expected].sort((a, b) => a.join().localeCompare(b.join())),
+    )
+    // Each webhook still gets its messages in queue order
+    for (const webhook of WEBHOOKS) {
+      const contents = sent.filter(([url]) => url === webhook).map(([, content]) => content)
+      assert.deepEqual(
+        contents,
+        expected.filter(([url]) => url === webhook).map(([, content]) => content),
+      )
+    }
+    assert.deepEqual(await bridge.query("SELECT id FROM delivery_queue"), [])
+  })
+})
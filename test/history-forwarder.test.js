@@ -0,0 +1,106 @@
+const { describe, it, before, after, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const HistoryForwarder = require("../lib/history-forwarder")
+const Migrator = require("../lib/storage/migrator")
+
+// better-sqlite3 is optional, without it there is no storage to run against
+let sqliteAvailable = true
+try {
+  require("better-sqlite3")
+} catch {
+  sqliteAvailable = false
+}
+
+const GROUP_ID = -1001
+const messageRange = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => ({ id: from + index, date: 0 }))
+
+// Hands out the stored messages between minId and maxId and queues what it is asked to deliver, like the bridge does
+function createBot(database, messages) {
+  const queued = []
+  return {
+    queued,
+    client: {
+      getEntity: async () => ({ forum: false }),
+      iterMessages: async function* (chat, { minId = 0, maxId = 0 }) {
+        yield* messages.filter((message) => message.id > minId && (!maxId || message.id < maxId))
+      },
+    },
+    routes: database,
+    getMessageTopicId: () => null,
+    deliverMessages: async (batch, groupId, topicId, routings) => {
+      for (const routing of routings) {
+        queued.push([routing.id, batch[0].id])
+        await database.enqueueDelivery(routing.id, groupId, batch[0].id, routing.DC_Webhook, { content: "" })
+      }
+    },
+  }
+}
+
+describe("HistoryForwarder", { skip: !sqliteAvailable && "better-sqlite3 is not installed" }, () => {
+  let directory
+  let database
+  let routingIds
+
+  before(async () => {
+    mock.method(console, "log", () => {})
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "history-"))
+    process.env.SQLITE_PATH = path.join(directory, "bridge.sqlite")
+    const SqliteStorage = require("../lib/storage/sqlite-storage")
+    database = new SqliteStorage()
+    await database.init()
+    await new Migrator(database).up()
+
+    routingIds = []
+    for (const webhook of ["https://discord.test/a", "https://discord.test/b"]) {
+      const { insertId } = await database.run(
+        "INSERT INTO routing (ID_Groups, ID_Topic, DC_Webhook, Catch_All) VALUES (?, NULL, ?, 0)",
+        [GROUP_ID, webhook],
+      )
+      routingIds.push(insertId)
+    }
+  })
+
+  after(async () => {
+    await database?.close()
+    if (directory) fs.rmSync(directory, { recursive: true, force: true })
+    mock.restoreAll()
+  })
+
+  it("queues each message once per route when backfills overlap", async () => {
+    const bot = createBot(database, messageRange(1, 8))
+    const forwarder = new HistoryForwarder(database, bot)
+
+    const first = await forwarder.forward(GROUP_ID, { maxId: 6 })
+    assert.equal(first.forwarded, 5)
+
+    const second = await forwarder.forward(GROUP_ID, { minId: 2 })
+    assert.equal(second.read, 6)
+    assert.equal(second.skipped, 3)
+    assert.equal(second.forwarded, 3)
+
+    const rows = await database.query("SELECT Routing_ID, TG_Message_ID FROM delivery_queue WHERE ID_Groups = ?", [
+      GROUP_ID,
+    ])
+    assert.equal(rows.length, 16)
+    assert.equal(new Set(rows.map((row) => `${row.Routing_ID}:${row.TG_Message_ID}`)).size, 16)
+  })
+
+  it("sends again only to the routes whose earlier attempt failed", async () => {
+    const [failedRoute, forwardedRoute] = routingIds
+    await database.run("DELETE FROM delivery_queue")
+    for (const routingId of routingIds) {
+      await database.archiveMessage({ routingId, groupId: GROUP_ID, telegramMessageId: 20, content: "" })
+    }
+    await database.markArchiveFailed(failedRoute, GROUP_ID, 20, "failed", "webhook gone")
+    await database.markArchiveForwarded(forwardedRoute, GROUP_ID, 20, "1")
+
+    const bot = createBot(database, messageRange(20, 20))
+    const stats = await new HistoryForwarder(database, bot).forward(GROUP_ID, { minId: 19 })
+
+    assert.equal(stats.forwarded, 1)
+    assert.deepEqual(bot.queued, [[failedRoute, 20]])
+  })
+})
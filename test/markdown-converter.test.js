@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const MarkdownConverter = require("../lib/markdown-converter")
+
+const entity = (type, offset, length, extra = {}) => ({ className: `MessageEntity${type}`, offset, length, ...extra })
+
+describe("MarkdownConverter.toDiscord", () => {
+  it("returns an empty string for empty text", () => {
+    assert.equal(MarkdownConverter.toDiscord(""), "")
+    assert.equal(MarkdownConverter.toDiscord(null), "")
+  })
+
+  it("escapes markdown in plain text", () => {
+    assert.equal(MarkdownConverter.toDiscord("2*3 = a_b ~x~ `y` |z|"), "2\\*3 = a\\_b \\~x\\~ \\`y\\` \\|z\\|")
+  })
+
+  it("escapes line-start markers and defuses mass mentions", () => {
+    assert.equal(MarkdownConverter.toDiscord("> quote\n# title\n- item"), "\\> quote\n\\# title\n\\- item")
+    assert.equal(MarkdownConverter.toDiscord("hi @everyone <@123>"), "hi @\u200beveryone \\<@123>")
+  })
+
+  it("renders simple formatting entities", () => {
+    const text = "bold italic under strike spoiler"
+    const entities = [
+      entity("Bold", 0, 4),
+      entity("Italic", 5, 6),
+      entity("Underline", 12, 5),
+      entity("Strike", 18, 6),
+      entity("Spoiler", 25, 7),
+    ]
+    assert.equal(MarkdownConverter.toDiscord(text, entities), "**bold** *italic* __under__ ~~strike~~ ||spoiler||")
+  })
+
+  it("keeps surrounding whitespace outside markers", () => {
+    assert.equal(MarkdownConverter.toDiscord("a bold b", [entity("Bold", 1, 6)]), "a **bold** b")
+  })
+
+  it("renders nested entities", () => {
+    assert.equal(
+      MarkdownConverter.toDiscord("bold italic", [entity("Bold", 0, 11), entity("Italic", 5, 6)]),
+      "**bold *italic***",
+    )
+  })
+
+  it("splits overlapping entities and reopens the inner marker", () => {
+    const output = MarkdownConverter.toDiscord("abcdef", [entity("Bold", 0, 4), entity("Italic", 2, 4)])
+    assert.equal(output, "**ab*cd***\u200b*ef*")
+  })
+
+  it("splits an entity crossing several others at each boundary", () => {
+    const output = MarkdownConverter.toDiscord("abcdefgh", [
+      entity("Bold", 0, 4),
+      entity("Italic", 2, 4),
+      entity("Strike", 3, 5),
+    ])
+    assert.equal(output, "**ab*c~~d~~***\u200b~~*ef*gh~~")
+  })
+
+  it("leaves code literal and lengthens the fence around backticks", () => {
+    assert.equal(MarkdownConverter.toDiscord("run a*b", [entity("Code", 4, 3)]), "run `a*b`")
+    assert.equal(MarkdownConverter.toDiscord("x `y`", [entity("Code", 0, 5)]), "`` x `y` ``")
+  })
+
+  it("puts pre blocks on their own lines", () => {
+    assert.equal(
+      MarkdownConverter.toDiscord("see const a = 1 here", [entity("Pre", 4, 11, { language: "js" })]),
+      "see \n```js\nconst a = 1\n```\n here",
+    )
+  })
+
+  it("prefixes every blockquote line", () => {
+    assert.equal(MarkdownConverter.toDiscord("one\ntwo", [entity("Blockquote", 0, 7)]), "> one\n> two")
+  })
+
+  it("renders text links with escaped URLs", () => {
+    assert.equal(
+      MarkdownConverter.toDiscord("docs", [entity("TextUrl", 0, 4, { url: "https://example.com/a (b)" })]),
+      "[docs](https://example.com/a%20%28b%29)",
+    )
+  })
+
+  it("leaves auto-detected URLs unescaped", () => {
+    const text = "https://example.com/a_b_c"
+    assert.equal(MarkdownConverter.toDiscord(text, [entity("Url", 0, text.length)]), text)
+  })
+
+  it("maps mentions and leaves unknown ones as text", () => {
+    const options = { mentions: new Map([["alice", "<@111>"]]), userMentions: new Map([["42", "<@222>"]]) }
+    assert.equal(
+      MarkdownConverter.toDiscord("@Alice @bob_x Carol", [
+        entity("Mention", 0, 6),
+        entity("Mention", 7, 6),
+        entity("MentionName", 14, 5, { userId: 42 }),
+      ], options),
+      "<@111> @bob\\_x <@222>",
+    )
+  })
+
+  it("uses UTF-16 offsets around emoji", () => {
+    assert.equal(MarkdownConverter.toDiscord("😀 hi", [entity("Bold", 3, 2)]), "😀 **hi**")
+  })
+})
@@ -0,0 +1,94 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const MessageFilter = require("../lib/message-filter")
+
+let nextId = 1
+const rule = (type, action, value = null) => ({ id: nextId++, Rule_Type: type, Action: action, Value: value })
+const context = (extra = {}) => ({
+  text: "New release is out",
+  senderId: "42",
+  senderUsername: "Alice",
+  isBot: false,
+  mediaTypes: ["text"],
+  ...extra,
+})
+
+describe("MessageFilter.evaluate", () => {
+  it("allows everything without rules", () => {
+    assert.equal(MessageFilter.evaluate([], context()).allowed, true)
+  })
+
+  it("skips a message matching an exclude rule and names the rule", () => {
+    const bot = rule("bot", "exclude")
+    const result = MessageFilter.evaluate([bot], context({ isBot: true }))
+    assert.equal(result.allowed, false)
+    assert.equal(result.rule, bot)
+    assert.match(result.reason, /^matched exclude bot rule #\d+$/)
+  })
+
+  it("needs one include rule of each type to match", () => {
+    const rules = [rule("keyword", "include", "release"), rule("media", "include", "photo")]
+    assert.equal(MessageFilter.evaluate(rules, context()).allowed, false)
+    assert.equal(MessageFilter.evaluate(rules, context({ mediaTypes: ["photo"] })).allowed, true)
+  })
+
+  it("treats keyword and regex includes as one allow list", () => {
+    const rules = [rule("keyword", "include", "announcement"), rule("regex", "include", "^new\\b")]
+    assert.equal(MessageFilter.evaluate(rules, context()).allowed, true)
+    assert.equal(MessageFilter.evaluate(rules, context({ text: "old news" })).allowed, false)
+  })
+
+  it("lets exclude rules veto a matching include", () => {
+    const rules = [rule("keyword", "include", "release"), rule("sender", "exclude", "@alice")]
+    assert.equal(MessageFilter.evaluate(rules, context()).allowed, false)
+  })
+})
+
+describe("MessageFilter.matches", () => {
+  it("matches keywords case-insensitively", () => {
+    assert.equal(MessageFilter.matches(rule("keyword", "include", "RELEASE"), context()), true)
+  })
+
+  it("accepts /pattern/flags and bare case-insensitive patterns", () => {
+    assert.equal(MessageFilter.matches(rule("regex", "include", "/Release/"), context()), false)
+    assert.equal(MessageFilter.matches(rule("regex", "include", "/release/i"), context()), true)
+    assert.equal(MessageFilter.matches(rule("regex", "include", "RELEASE"), context()), true)
+  })
+
+  it("never matches an invalid regex", () => {
+    assert.equal(MessageFilter.matches(rule("regex", "include", "("), context()), false)
+  })
+
+  it("matches senders by ID or username", () => {
+    assert.equal(MessageFilter.matches(rule("sender", "include", "42"), context()), true)
+    assert.equal(MessageFilter.matches(rule("sender", "include", " @ALICE "), context()), true)
+    assert.equal(MessageFilter.matches(rule("sender", "include", "bob"), context()), false)
+  })
+
+  it("matches an album when any part has one of the media types", () => {
+    const stickers = rule("media", "exclude", "sticker, gif")
+    assert.equal(MessageFilter.matches(stickers, context({ mediaTypes: ["photo", "gif"] })), true)
+    assert.equal(MessageFilter.matches(stickers, context({ mediaTypes: ["photo"] })), false)
+  })
+})
+
+describe("MessageFilter.getMediaType", () => {
+  const document = (...attributes) => ({
+    media: { className: "MessageMediaDocument", document: { attributes } },
+  })
+
+  it("treats link previews as text", () => {
+    assert.equal(MessageFilter.getMediaType({}), "text")
+    assert.equal(MessageFilter.getMediaType({ media: { className: "MessageMediaWebPage" } }), "text")
+  })
+
+  it("tells documents apart by their attributes", () => {
+    assert.equal(MessageFilter.getMediaType({ media: { className: "MessageMediaPhoto" } }), "photo")
+    assert.equal(MessageFilter.getMediaType(document({ className: "DocumentAttributeSticker" })), "sticker")
+    const animation = document({ className: "DocumentAttributeVideo" }, { className: "DocumentAttributeAnimated" })
+    assert.equal(MessageFilter.getMediaType(animation), "gif")
+    assert.equal(MessageFilter.getMediaType(document({ className: "DocumentAttributeAudio", voice: true })), "voice")
+    assert.equal(MessageFilter.getMediaType(document()), "document")
+    assert.equal(MessageFilter.getMediaType({ media: { className: "MessageMediaPoll" } }), "poll")
+  })
+})
@@ -0,0 +1,93 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const MessageSplitter = require("../lib/message-splitter")
+
+const assertFits = (chunks, maxLength) => {
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= maxLength, `chunk of ${chunk.length} exceeds ${maxLength}`)
+  }
+}
+
+describe("MessageSplitter.split", () => {
+  it("keeps short text in one chunk", () => {
+    assert.deepEqual(MessageSplitter.split("hello", 2000), ["hello"])
+    assert.deepEqual(MessageSplitter.split("", 2000), [])
+  })
+
+  it("prefers paragraph boundaries", () => {
+    const first = "a".repeat(60)
+    const second = "b".repeat(60)
+    assert.deepEqual(MessageSplitter.split(`${first}\n\n${second}`, 100), [first, second])
+  })
+
+  it("falls back to word boundaries", () => {
+    const chunks = MessageSplitter.split("word ".repeat(100).trim(), 100)
+    assertFits(chunks, 100)
+    for (const chunk of chunks) {
+      assert.match(chunk, /^word( word)*$/)
+    }
+  })
+
+  it("does not cut inside a markdown span that fits the chunk", () => {
+    const text = `${"x ".repeat(40)}**bold text here** ${"y ".repeat(20)}`
+    const chunks = MessageSplitter.split(text, 100)
+    assertFits(chunks, 100)
+    assert.ok(chunks.some((chunk) => chunk.includes("**bold text here**")))
+  })
+
+  it("splits a span longer than the limit between words and reopens it", () => {
+    const text = "**" + "bold words ".repeat(300) + "**"
+    const chunks = MessageSplitter.split(text, 2000)
+    assertFits(chunks, 2000)
+    assert.ok(chunks.length > 1)
+    for (const chunk of chunks) {
+      assert.match(chunk, /^\*\*(bold|words)/)
+      assert.match(chunk, /(bold|words) ?\*\*$/)
+    }
+    const words = chunks.join(" ").replace(/\*\*/g, "").split(/\s+/).filter(Boolean)
+    assert.ok(words.every((word) => word === "bold" || word === "words"))
+    assert.equal(words.length, 600)
+  })
+
+  it("closes nested spans in reverse order", () => {
+    const text = "**a *b " + "word ".repeat(50) + "c* d**"
+    const chunks = MessageSplitter.split(text, 100)
+    assertFits(chunks, 100)
+    assert.ok(chunks[0].startsWith("**a *b word"))
+    assert.ok(chunks[0].endsWith("word***"))
+    assert.ok(chunks[1].startsWith("***word"))
+    assert.ok(chunks[chunks.length - 1].endsWith("c* d**"))
+  })
+
+  it("hard-cuts a span without whitespace and still closes it", () => {
+    const chunks = MessageSplitter.split("**" + "a".repeat(300) + "**", 100)
+    assertFits(chunks, 100)
+    for (const chunk of chunks) {
+      assert.match(chunk, /^\*\*a+\*\*$/)
+    }
+    assert.equal(chunks.join("").replace(/\*/g, "").length, 300)
+  })
+
+  it("closes and reopens a long code block between lines", () => {
+    const text = "```js\n" + "let a = 1\n".repeat(30) + "```"
+    const chunks = MessageSplitter.split(text, 100)
+    assertFits(chunks, 100)
+    for (const chunk of chunks) {
+      assert.ok(chunk.startsWith("```js\n"))
+      assert.ok(chunk.endsWith("\n```"))
+    }
+  })
+
+  it("ignores escaped markers and inline code", () => {
+    assert.deepEqual(MessageSplitter.scan("a \\*b").open, [])
+    assert.deepEqual(MessageSplitter.scan("a `**` b").open, [])
+    assert.deepEqual(MessageSplitter.scan("**a *b").open, ["**", "*"])
+    assert.equal(MessageSplitter.scan("a `b").inlineCode, true)
+  })
+
+  it("never splits a surrogate pair", () => {
+    const chunks = MessageSplitter.split("😀".repeat(100), 51)
+    assertFits(chunks, 51)
+    assert.equal(chunks.join(""), "😀".repeat(100))
+  })
+})
@@ -0,0 +1,158 @@
+const { describe, it, before, after, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const Migrator = require("../lib/storage/migrator")
+
+// Keeps schema_migrations in memory and records the migration SQL it runs, SQL containing FAIL throws
+class MemoryStorage {
+  constructor() {
+    this.backend = "sqlite"
+    this.applied = []
+    this.executed = []
+  }
+
+  async exec(sql) {
+    if (!sql.includes("schema_migrations")) {
+      throw new Error("migration SQL must run inside the transaction")
+    }
+  }
+
+  async query() {
+    return this.applied.map(([version, name]) => ({ version, name, applied_at: new Date(0) }))
+  }
+
+  async transaction(work) {
+    const applied = [...this.applied]
+    const executed = [...this.executed]
+    try {
+      return await work({
+        exec: async (sql) => {
+          if (sql.includes("FAIL")) throw new Error("syntax error")
+          this.executed.push(sql.trim())
+        },
+        run: async (sql, [version, name]) => {
+          if (sql.startsWith("INSERT")) {
+            this.applied.push([version, name])
+          } else {
+            this.applied = this.applied.filter(([applied]) => applied !== version)
+          }
+        },
+      })
+    } catch (error) {
+      this.applied = applied
+      this.executed = executed
+      throw error
+    }
+  }
+}
+
+describe("Migrator", () => {
+  let directory
+
+  const write = (file, sql = file) => fs.writeFileSync(path.join(directory, file), sql)
+  const create = () => {
+    const storage = new MemoryStorage()
+    const migrator = new Migrator(storage)
+    migrator.directory = directory
+    return { storage, migrator }
+  }
+
+  before(() => {
+    // The progress lines would end up in the test runner's report stream
+    mock.method(console, "log", () => {})
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "migrator-"))
+    for (const version of ["001", "002", "010"]) {
+      write(`${version}-step.up.sql`)
+      write(`${version}-step.down.sql`)
+    }
+    write("README.md")
+  })
+
+  after(() => {
+    mock.restoreAll()
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it("orders migrations by number, not by file name", async () => {
+    write("9-late.up.sql")
+    try {
+      const { migrator } = create()
+      const versions = (await migrator.getMigrations()).map((migration) => migration.version)
+      assert.deepEqual(versions, [1, 2, 9, 10])
+    } finally {
+      fs.rmSync(path.join(directory, "9-late.up.sql"))
+    }
+  })
+
+  it("applies pending migrations in order and records them", async () => {
+    const { storage, migrator } = create()
+    const applied = await migrator.up()
+    assert.deepEqual(applied.map((migration) => migration.version), [1, 2, 10])
+    assert.deepEqual(storage.executed, ["001-step.up.sql", "002-step.up.sql", "010-step.up.sql"])
+    assert.deepEqual(await migrator.getPending(), [])
+  })
+
+  it("stops at the target version", async () => {
+    const { storage, migrator } = create()
+    await migrator.up(2)
+    assert.deepEqual(storage.applied.map(([version]) => version), [1, 2])
+  })
+
+  it("rolls back the latest migrations first", async () => {
+    const { storage, migrator } = create()
+    await migrator.up()
+    const rolledBack = await migrator.down(2)
+    assert.deepEqual(rolledBack.map((row) => row.version), [10, 2])
+    assert.deepEqual(storage.executed.slice(-2), ["010-step.down.sql", "002-step.down.sql"])
+    assert.deepEqual(storage.applied.map(([version]) => version), [1])
+  })
+
+  it("leaves a failed migration unrecorded and keeps the ones before it", async () => {
+    write("011-broken.up.sql", "FAIL")
+    try {
+      const { storage, migrator } = create()
+      await assert.rejects(migrator.up(), /syntax error/)
+      assert.deepEqual(storage.applied.map(([version]) => version), [1, 2, 10])
+    } finally {
+      fs.rmSync(path.join(directory, "011-broken.up.sql"))
+    }
+  })
+
+  it("reports applied migrations whose files are missing", async () => {
+    const { storage, migrator } = create()
+    storage.applied = [[1, "step"], [20, "newer"]]
+    const status = await migrator.status()
+    assert.deepEqual(
+      status.map(({ version, appliedAt, missing }) => [version, appliedAt !== null, !!missing]),
+      [
+        [1, true, false],
+        [2, false, false],
+        [10, false, false],
+        [20, true, true],
+      ],
+    )
+  })
+
+  it("refuses to roll back a migration without a down file", async () => {
+    write("012-one-way.up.sql")
+    try {
+      const { storage, migrator } = create()
+      await migrator.up()
+      await assert.rejects(migrator.down(), /Migration 12 \(one-way\) has no \.down\.sql file/)
+      assert.equal(storage.applied.length, 4)
+    } finally {
+      fs.rmSync(path.join(directory, "012-one-way.up.sql"))
+    }
+  })
+
+  it("rejects a down file without its up file", async () => {
+    write("013-orphan.down.sql")
+    try {
+      await assert.rejects(create().migrator.getMigrations(), /Migration 13 \(orphan\) has no \.up\.sql file/)
+    } finally {
+      fs.rmSync(path.join(directory, "013-orphan.down.sql"))
+    }
+  })
+})
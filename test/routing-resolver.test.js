@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const RoutingResolver = require("../lib/routing-resolver")
+
+const row = (id, topicId, extra = {}) => ({ id, ID_Groups: -1001, ID_Topic: topicId, Catch_All: 0, ...extra })
+const ids = (resolution) => resolution.routings.map((routing) => routing.id)
+
+describe("RoutingResolver.resolve", () => {
+  it("prefers a topic rule over a catch-all", () => {
+    const rows = [row(1, 5), row(2, null, { Catch_All: 1 })]
+    const resolution = RoutingResolver.resolve(rows, 5)
+    assert.deepEqual(ids(resolution), [1])
+    assert.equal(resolution.rule, "exact")
+  })
+
+  it("falls back to catch-all rules for topics without their own rule", () => {
+    const rows = [row(1, 5), row(2, null, { Catch_All: 1 }), row(3, null, { Catch_All: 1 })]
+    const resolution = RoutingResolver.resolve(rows, 7)
+    assert.deepEqual(ids(resolution), [2, 3])
+    assert.equal(resolution.rule, "catch-all")
+  })
+
+  it("matches messages outside any topic with a NULL topic rule", () => {
+    const rows = [row(1, null), row(2, 5)]
+    assert.deepEqual(ids(RoutingResolver.resolve(rows, null)), [1])
+    assert.deepEqual(ids(RoutingResolver.resolve(rows, undefined)), [1])
+  })
+
+  it("compares topic IDs by value", () => {
+    assert.deepEqual(ids(RoutingResolver.resolve([row(1, "5")], 5)), [1])
+  })
+
+  it("leaves out catch-alls that exclude the topic and reports them", () => {
+    const rows = [row(1, null, { Catch_All: 1, Exclude_Topics: "5, 6" }), row(2, null, { Catch_All: 1 })]
+    const resolution = RoutingResolver.resolve(rows, 6)
+    assert.deepEqual(ids(resolution), [2])
+    assert.deepEqual(resolution.excluded.map((routing) => routing.id), [1])
+  })
+
+  it("has no rule when nothing matches", () => {
+    const resolution = RoutingResolver.resolve([row(1, 5)], 7)
+    assert.deepEqual(resolution, { routings: [], rule: null, excluded: [] })
+  })
+})
+
+describe("RoutingResolver.explain", () => {
+  it("names the excluded catch-all and suggests both kinds of rule", () => {
+    const lines = RoutingResolver.explain([row(1, null, { Catch_All: 1, Exclude_Topics: "5" })], -1001, 5)
+    assert.ok(lines.some((line) => line.includes("Catch-all rule #1 would apply but excludes topic 5")))
+    assert.ok(lines.some((line) => line.includes("VALUES (-1001, 5, 'YOUR_WEBHOOK_URL'")))
+    assert.ok(lines.some((line) => line.includes("VALUES (-1001, NULL, 'YOUR_WEBHOOK_URL', 'Optional comment', 1)")))
+  })
+
+  it("says when a group has no rules at all", () => {
+    assert.equal(RoutingResolver.explain([], -1001)[0], "No rules exist for group -1001")
+  })
+})
+
+describe("RoutingResolver topic lists", () => {
+  it("parses comma-separated text and arrays, skipping junk", () => {
+    assert.deepEqual(RoutingResolver.parseTopicList("12, 15,x,"), [12, 15])
+    assert.deepEqual(RoutingResolver.parseTopicList([3, "4"]), [3, 4])
+    assert.deepEqual(RoutingResolver.parseTopicList(null), [])
+  })
+
+  it("formats an empty list as NULL", () => {
+    assert.equal(RoutingResolver.formatTopicList("12, 15"), "12,15")
+    assert.equal(RoutingResolver.formatTopicList(""), null)
+  })
+})
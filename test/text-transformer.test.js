@@ -0,0 +1,97 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const TextTransformer = require("../lib/text-transformer")
+
+const entity = (type, offset, length, extra = {}) => ({ className: `MessageEntity${type}`, offset, length, ...extra })
+let nextId = 1
+const rule = (type, pattern, replacement = null, position = nextId) => ({
+  id: nextId++,
+  Position: position,
+  Transform_Type: type,
+  Pattern: pattern,
+  Replacement: replacement,
+})
+
+describe("TextTransformer.apply", () => {
+  it("converts the text when there are no rules", () => {
+    assert.equal(TextTransformer.apply("a *b*", [entity("Bold", 0, 1)], []), "**a** \\*b\\*")
+  })
+
+  it("matches patterns against the text the sender typed", () => {
+    const text = "ping @crypto_deals_bot now"
+    const output = TextTransformer.apply(text, [entity("Mention", 5, 17)], [rule("replace", "@\\w+", "[bot]")])
+    assert.equal(output, "ping \\[bot\\] now")
+  })
+
+  it("supports flags, groups and literal dollars in replacements", () => {
+    const rules = [rule("replace", "/(\\d+) USD/i", "$$$1"), rule("replace", "/(?<word>hello)/", "$<word>!\\n")]
+    assert.equal(TextTransformer.apply("hello, 10 usd", [], rules), "hello!\n, $10")
+  })
+
+  it("keeps formatting around and across replaced text", () => {
+    const text = "price 10 usd today"
+    const output = TextTransformer.apply(
+      text,
+      [entity("Bold", 6, 2), entity("Italic", 13, 5)],
+      [rule("replace", "/(\\d+) usd/", "$$$1")],
+    )
+    assert.equal(output, "price **$10** *today*")
+  })
+
+  it("drops formatting on text that was removed", () => {
+    const output = TextTransformer.apply("keep drop keep", [entity("Bold", 5, 4)], [rule("replace", "drop ", "")])
+    assert.equal(output, "keep keep")
+  })
+
+  it("truncates without leaving a span open", () => {
+    const output = TextTransformer.apply("some bold text here", [entity("Bold", 5, 9)], [rule("max_length", "10")])
+    assert.equal(output, "some **bold**…")
+  })
+
+  it("truncates before the escapes are added", () => {
+    const output = TextTransformer.apply("a_b_c_d_e_f_g", [], [rule("max_length", "6")])
+    assert.equal(output, "a\\_b\\_c…")
+  })
+
+  it("never cuts a surrogate pair", () => {
+    assert.equal(TextTransformer.apply("ab😀cd", [], [rule("max_length", "4")]), "ab…")
+  })
+
+  it("strips bare URLs and unlinks text links of the listed domains", () => {
+    const text = "see https://ref.example.com/x and docs ok"
+    const output = TextTransformer.apply(
+      text,
+      [
+        entity("Url", 4, 25),
+        entity("TextUrl", 34, 4, { url: "https://a.ref.example.com/y" }),
+        entity("TextUrl", 39, 2, { url: "https://other.org" }),
+      ],
+      [rule("strip_domains", "example.com, bit.ly")],
+    )
+    assert.equal(output, "see and docs [ok](https://other.org)")
+  })
+
+  it("adds prefix and suffix templates around the converted text", () => {
+    const rules = [
+      rule("prefix", null, "**{sender}**:\\n", 1),
+      rule("suffix", null, "\\n-# {group}", 2),
+      rule("prefix", null, "> ", 3),
+    ]
+    const output = TextTransformer.apply("hi", [], rules, { sender: "a_b", group: "News" })
+    assert.equal(output, "> **a\\_b**:\nhi\n-# News")
+  })
+
+  it("applies rules in position order", () => {
+    const rules = [rule("replace", "b", "c", 2), rule("replace", "a", "b", 1)]
+    assert.equal(TextTransformer.apply("a", [], rules), "c")
+  })
+
+  it("skips a rule with an invalid pattern", () => {
+    assert.equal(TextTransformer.apply("a(b", [], [rule("replace", "(", "x"), rule("replace", "a", "z")]), "z(b")
+  })
+
+  it("passes mention options to the converter", () => {
+    const options = { mentions: new Map([["alice", "<@1>"]]) }
+    assert.equal(TextTransformer.apply("@alice", [entity("Mention", 0, 6)], [], {}, options), "<@1>")
+  })
+})
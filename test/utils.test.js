@@ -0,0 +1,55 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const Utils = require("../lib/utils")
+
+const COLUMNS = ["telegram_id", "telegram_username", "comment"]
+
+describe("Utils.toCsv", () => {
+  it("writes a header and one line per row in column order", () => {
+    const csv = Utils.toCsv([{ comment: "hi", telegram_id: 1, telegram_username: "alice" }], COLUMNS)
+    assert.equal(csv, "telegram_id,telegram_username,comment\n1,alice,hi\n")
+  })
+
+  it("leaves null and missing values empty", () => {
+    const csv = Utils.toCsv([{ telegram_id: 1, telegram_username: null }], COLUMNS)
+    assert.equal(csv, "telegram_id,telegram_username,comment\n1,,\n")
+  })
+
+  it("quotes commas, quotes and line breaks", () => {
+    const csv = Utils.toCsv([{ telegram_id: 1, comment: 'says "hi",\nthen leaves' }], COLUMNS)
+    assert.equal(csv, 'telegram_id,telegram_username,comment\n1,,"says ""hi"",\nthen leaves"\n')
+  })
+})
+
+describe("Utils.parseCsv", () => {
+  it("reads rows as objects keyed by the header", () => {
+    assert.deepEqual(Utils.parseCsv("telegram_id, telegram_username\n1,alice\n2,bob\n"), [
+      { telegram_id: "1", telegram_username: "alice" },
+      { telegram_id: "2", telegram_username: "bob" },
+    ])
+  })
+
+  it("handles CRLF line endings, blank lines and a missing final newline", () => {
+    assert.deepEqual(Utils.parseCsv("a,b\r\n1,2\r\n\r\n3,4"), [
+      { a: "1", b: "2" },
+      { a: "3", b: "4" },
+    ])
+  })
+
+  it("fills missing trailing fields with empty strings", () => {
+    assert.deepEqual(Utils.parseCsv("a,b,c\n1\n"), [{ a: "1", b: "", c: "" }])
+  })
+
+  it("returns no rows for an empty file or a header alone", () => {
+    assert.deepEqual(Utils.parseCsv(""), [])
+    assert.deepEqual(Utils.parseCsv("a,b\n"), [])
+  })
+
+  it("reads back what toCsv writes", () => {
+    const rows = [
+      { telegram_id: "1", telegram_username: "alice", comment: 'says "hi",\r\nthen leaves' },
+      { telegram_id: "", telegram_username: "mods", comment: "" },
+    ]
+    assert.deepEqual(Utils.parseCsv(Utils.toCsv(rows, COLUMNS)), rows)
+  })
+})